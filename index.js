@@ -1,3 +1,11 @@
 
 
-	module.exports = require('./src/Cluster');
\ No newline at end of file
+	module.exports = require('./src/Cluster');
+	module.exports.MemoryServer = require('./src/memory/MemoryServer');
+	module.exports.PrometheusFormatter = require('./src/PrometheusFormatter');
+	module.exports.Session = require('./src/Session');
+	module.exports.Transaction = require('./src/Transaction');
+	module.exports.DSN = require('./src/DSN');
+	module.exports.DiscoveryProvider = require('./src/discovery/DiscoveryProvider');
+	module.exports.JSONFileProvider = require('./src/discovery/JSONFileProvider');
+	module.exports.DNSProvider = require('./src/discovery/DNSProvider');
\ No newline at end of file
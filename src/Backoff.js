@@ -0,0 +1,130 @@
+/**
+ * computes the delays between failed attempts to do something,
+ * like creating a connection to a host that is down.
+ *
+ * supported policies:
+ * - exponential: the delay grows by «factor» on each attempt
+ *   until it reaches «maxDelay». «jitter» (0 - 1) reduces each
+ *   delay randomly by up to that fraction
+ * - decorrelated: the delay is a random value between
+ *   «initialDelay» and three times the previous delay, capped
+ *   by «maxDelay»
+ * - fixed: the delay is always «initialDelay»
+ */
+
+
+
+module.exports = class Backoff {
+
+    // the name of the policy
+    policy = 'exponential';
+
+    // the first delay in ms
+    initialDelay = 10;
+
+    // the delay will never exceed this, in ms
+    maxDelay = 30000;
+
+    // growth factor for the exponential policy
+    factor = 1.1;
+
+    // the random reduction applied to the exponential policy
+    jitter = 0;
+
+
+    // the number of attempts since the last reset
+    attempt = 0;
+
+    // the last delay returned
+    delay = 0;
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options
+     * @param {string} options.policy exponential, decorrelated or fixed
+     * @param {number} options.initialDelay the first delay in ms
+     * @param {number} options.maxDelay the max delay in ms
+     * @param {number} options.factor the growth factor (exponential)
+     * @param {number} options.jitter random reduction 0 - 1 (exponential)
+     */
+    constructor(options) {
+        options = options || {};
+
+        if (options.policy !== undefined) {
+            if (!Backoff.policies.includes(options.policy)) throw new Error(`Invalid backoff policy «${options.policy}», expected one of ${Backoff.policies.join(', ')}!`);
+            this.policy = options.policy;
+        }
+
+        for (const key of ['initialDelay', 'maxDelay', 'factor', 'jitter']) {
+            if (options[key] !== undefined) {
+                if (typeof options[key] !== 'number' || options[key] < 0) throw new Error(`The backoff option «${key}» must be a positive number!`);
+                this[key] = options[key];
+            }
+        }
+
+        if (this.jitter > 1) throw new Error(`The backoff option «jitter» must be between 0 and 1!`);
+
+        this.reset();
+    }
+
+
+
+
+
+
+    /**
+     * returns the delay for the next attempt
+     *
+     * @returns {number} delay in ms
+     */
+    next() {
+        this.attempt++;
+
+        switch (this.policy) {
+            case 'fixed':
+                this.delay = this.initialDelay;
+                break;
+
+            case 'decorrelated': {
+                const upper = Math.max(this.initialDelay, this.delay*3);
+                this.delay = Math.min(this.maxDelay, this.initialDelay + Math.random()*(upper - this.initialDelay));
+                break;
+            }
+
+            default:
+                this.delay = Math.min(this.maxDelay, this.initialDelay*Math.pow(this.factor, this.attempt));
+                if (this.jitter) this.delay = this.delay*(1 - Math.random()*this.jitter);
+        }
+
+        return Math.ceil(this.delay);
+    }
+
+
+
+
+
+
+    /**
+     * starts over with the initial delay
+     */
+    reset() {
+        this.attempt = 0;
+        this.delay = this.initialDelay;
+    }
+
+
+
+
+
+
+    /**
+     * the names of the supported policies
+     */
+    static get policies() {
+        return ['exponential', 'decorrelated', 'fixed'];
+    }
+};
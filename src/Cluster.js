@@ -2,18 +2,62 @@ const logd = require('logd');
 const LinkedList = require('linkd');
 const Node = require('./Node.js');
 const ConnectionRequest = require('./ConnectionRequest.js');
+const LoadBalancer = require('./LoadBalancer.js');
+const PriorityQueue = require('./PriorityQueue.js');
+const Session = require('./Session.js');
+const Transaction = require('./Transaction.js');
+const Backoff = require('./Backoff.js');
+const ResultCache = require('./ResultCache.js');
+const RingBuffer = require('./RingBuffer.js');
+const DSN = require('./DSN.js');
+const DriverRegistry = require('./DriverRegistry.js');
+const Histogram = require('./Histogram.js');
+const PrometheusFormatter = require('./PrometheusFormatter.js');
 const Events = require('events');
+const RelatedError = require('related-error');
 
 
 const log = logd.module('Cluster');
 
 
+// the drivers registered by the user, shared by all clusters
+const drivers = new DriverRegistry();
+
+// the memory driver is bundled for testing
+drivers.register('memory', require('./memory/index.js'));
+
+
+
+// statements the slow query log can explain
+const explainablePattern = /^\s*(?:select|insert|update|delete|with)\b/i;
+
+
 /**
  * this class represents a db cluster with multiuple nodes 
  * that can be addressed by the user directly or automatically
  * by the heuristics if the orm.
  * it starts nodes and has a pool of connections it can execute 
  * queries on
+ *
+ * the cluster emits the following events for its nodes:
+ * - nodeStateChange: a node has changed its state
+ * - nodeDown: a node has become unreachable
+ * - nodeUp: a node is reachable (again)
+ * - nodeCircuitOpen: the circuit breaker of a node has opened
+ * - nodeCircuitClose: the circuit breaker of a node has closed
+ * - primaryChanged: role discovery has detected a new primary
+ * - discoveryError: a discovery provider failed or reported
+ *   an invalid host
+ *
+ * and for the queues:
+ * - queueHigh: the queued requests of a pool have reached the 
+ *   high watermark
+ * - queueLow: the queued requests of an overloaded pool have
+ *   fallen to the low watermark
+ *
+ * and for queries:
+ * - queryRetry: a query failed and is executed again
+ * - slowQuery: a query took longer than the slow query threshold
  */ 
 
 
@@ -28,18 +72,114 @@ module.exports = class Cluster extends Events {
 
 	executedQueryCounter = 0;
 
+	failedQueryCounter = 0;
 
-	// ttl check interval
-	ttlCheckInterval = 30000;
 
-
-	// ttl
+	// the default time in seconds a request may wait for
+	// a connection, it can be set per request
 	ttl = 60;
 
 
-	// max queue length
+	// max number of requests waiting for the connections of
+	// a pool, each pool is limited on its own
 	maxQueueLength = 10000;
 
+	// the maxQueueLength and the ttl per pool, the pools use
+	// the settings of the cluster by default:
+	// {stats: {maxQueueLength: 100, ttl: 5}}
+	poolLimits = {};
+
+	// a pool is overloaded when its queued requests reach the 
+	// high fraction of its maxQueueLength, it recovers when they
+	// have fallen to the low fraction
+	queueWatermarks = {high: 0.8, low: 0.5};
+
+
+	// default backoff policy for reconnecting nodes,
+	// see the Backoff class
+	backoff = null;
+
+	// default circuit breaker configuration for the nodes,
+	// {failureThreshold: n}
+	circuitBreaker = null;
+
+	// default ms a node may lag behind the primary before
+	// it is not used anymore, 0 disables the lag checks
+	maxReplicationLag = 0;
+
+	// default ms a removed node waits for its busy connections
+	// before it's ended forcefully, 0 waits forever
+	drainTimeout = 60000;
+
+	// role discovery moves the nodes between the pools when 
+	// they become the primary or a replica, null disables it:
+	// {interval: ms, primaryPools: [..], replicaPools: [..]}
+	roleDiscovery = null;
+
+	// the last node that was detected as primary, it may
+	// have been demoted since
+	primary = null;
+
+	// read your writes consistency, null disables the 
+	// polling of the replicated positions:
+	// {checkInterval: ms, writePool: 'write'}. if the
+	// dialect cannot report positions the tokens fall 
+	// back to timestamps, which replicas can only reach 
+	// if they poll their lag (maxReplicationLag)
+	consistency = null;
+
+	// reads that must see a write fall back to this pool
+	writePool = 'write';
+
+	// the retry policy for queries that failed because of a 
+	// connectivity problem, see createRetryPolicy. queries are 
+	// executed once by default
+	retry = null;
+
+	// the result cache for queries that opt in using the cache
+	// property of the query context, null disables it
+	cache = null;
+
+	// the middleware added using use()
+	middleware = [];
+
+	// queries taking longer than the threshold are recorded,
+	// null disables it: {threshold: ms, explain: bool, size: n}
+	slowQueryLog = null;
+
+	// the ring buffer with the recent slow queries
+	slowQueries = null;
+
+	// the node configuration shared by all hosts, the 
+	// configuration of a host is merged over it
+	nodeDefaults = {};
+
+	// settles when the hosts of the configuration have loaded
+	ready = null;
+
+	// the discovery providers and the keys of the nodes they
+	// have added, see addDiscovery
+	discovery = new Map();
+
+	// the queries and transactions that are beeing executed,
+	// the cluster waits for them when it ends
+	inFlight = new Set();
+
+	// the state of the shutdown while the cluster is ending
+	shutdown = null;
+
+	// the load balancing strategy used for pools without
+	// their own strategy, see the LoadBalancer class
+	balancing = 'fifo';
+
+	// load balancing strategies per pool name
+	poolBalancing = {};
+
+
+	// ms after which a queued request gains one priority
+	// level, see the PriorityQueue class
+	priorityAging = PriorityQueue.defaultAging;
+
 
     get queueLength() {
         let l = 0;
@@ -49,23 +189,61 @@ module.exports = class Cluster extends Events {
 
 
 	/**
-	 * class constructor
+	 * class constructor. the configuration may contain the 
+	 * hosts of the cluster and the settings they share:
 	 *
-	 * @param {object} options the configuration for the cluster
+	 * {
+	 *       type           : 'postgres'
+	 *     , database       : 'test'
+	 *     , user           : 'user'
+	 *     , pass           : 'secret'
+	 *     , maxConnections : 20
+	 *     , hosts          : [{host: 'db-1', pool: ['read', 'write']}]
+	 * }
+	 *
+	 * the hosts are added as nodes, the ready promise settles
+	 * when all of them have loaded. hosts may also be passed as 
+	 * connection strings or objects with the url property, the
+	 * url option of the cluster adds the hosts of a connection
+	 * string, see DSN. the discovery option takes providers that
+	 * add and remove hosts at runtime, see addDiscovery
+	 *
+	 * @param {object|string} options the configuration for the 
+	 *						  cluster or a connection string
 	 */
 	constructor(options) {
 		super();
 
 		log.debug(`Loading the DB cluster ..`);
 
+		if (typeof options === 'string') options = {url: options};
+
 		// validate
-		if (!options) throw new Error('The cluster expects an options object!');
+		if (typeof options !== 'object' || options === null) throw new Error('The cluster expects an options object!');
+
+		// connection strings are expanded into one host per node
+		let hosts = this.getHosts(options);
+
+		// the type is an alias used by the documented configuration,
+		// the driver may also be taken from the connection string
+		if (!options.driver && (options.type || (options.url !== undefined && hosts.length))) options = Object.assign({}, options, {driver: options.type || hosts[0].type});
+
 		if (!options.driver) throw new Error('Please define which driver the cluster must load!');
 
+		// the settings shared by the hosts
+		this.nodeDefaults = this.normalizeNodeConfiguration(options, 'The cluster configuration', Cluster.sharedNodeOptions);
+
+
 
 		// currently postgres or mysql, they are included 
-		// in this package using npm
-		this.driverName = options.driver;
+		// in this package using npm. custom drivers can be 
+		// registered or passed as object
+		if (typeof options.driver === 'object') {
+			this.driverName = options.driver.name || 'custom';
+			this.driver = options.driver;
+		}
+		else this.driverName = options.driver;
+
 		log.debug(`The Cluster uses the ${this.driverName} driver`);
 
 		
@@ -79,16 +257,95 @@ module.exports = class Cluster extends Events {
 
 		// how many items may be queued
 		if (options.maxQueueLength) this.maxQueueLength = options.maxQueueLength;
+
+		// the limits can be overridden per pool
+		Object.assign(this, this.normalizeQueueLimits(options));
+
+		// defaults for the reconnect behavior of the nodes
+		if (options.backoff) this.backoff = options.backoff;
+		if (options.circuitBreaker) this.circuitBreaker = options.circuitBreaker;
+		if (options.maxReplicationLag) this.maxReplicationLag = options.maxReplicationLag;
+
+		// connections that are never returned must not keep a 
+		// removed node alive
+		if (options.drainTimeout !== undefined) {
+			if (!(options.drainTimeout >= 0)) throw new Error(`The drainTimeout must be a positive number of ms, got «${options.drainTimeout}»!`);
+
+			this.drainTimeout = options.drainTimeout;
+		}
+
+		// reads can be routed to the replicas that have seen a write
+		if (options.consistency) {
+			this.consistency = Object.assign({
+				checkInterval: 1000
+			}, options.consistency === true ? {} : options.consistency);
+
+			if (this.consistency.writePool) this.writePool = this.consistency.writePool;
+
+			if (!(this.consistency.checkInterval > 0)) throw new Error(`The checkInterval of the consistency option must be a positive number of ms, got «${this.consistency.checkInterval}»!`);
+
+			if ((!this.dialect || !this.dialect.position) && !this.maxReplicationLag) log.warn(`The ${this.driverName} driver cannot report replication positions, set maxReplicationLag so that the replicas can serve the reads of sessions`);
+		}
+
+		// failed idempotent queries may be retried on other nodes
+		this.retry = this.createRetryPolicy(options.retry);
+
+		// results of read queries can be cached: 
+		// {ttl: ms, maxEntries: n, store: store}
+		if (options.cache) this.cache = new ResultCache(options.cache === true ? {} : options.cache);
+
+		// slow queries are recorded and optionally explained
+		if (options.slowQueryLog) {
+			this.slowQueryLog = Object.assign({
+				  threshold 	: 1000
+				, explain 		: false
+				, size 			: 100
+			}, options.slowQueryLog === true ? {} : options.slowQueryLog);
+
+			if (!(this.slowQueryLog.threshold >= 0)) throw new Error(`The threshold of the slow query log must be a positive number of ms, got «${this.slowQueryLog.threshold}»!`);
+
+			this.slowQueries = new RingBuffer(this.slowQueryLog.size);
+		}
+
+		// the pools of the nodes follow their role
+		if (options.roleDiscovery) {
+			this.roleDiscovery = Object.assign({
+				  primaryPools 	: ['read', 'write']
+				, replicaPools 	: ['read']
+			}, options.roleDiscovery === true ? {} : options.roleDiscovery);
+
+			if (!Array.isArray(this.roleDiscovery.primaryPools) || !this.roleDiscovery.primaryPools.length) throw new Error('The primaryPools of the role discovery must be a non empty array!');
+			if (!Array.isArray(this.roleDiscovery.replicaPools) || !this.roleDiscovery.replicaPools.length) throw new Error('The replicaPools of the role discovery must be a non empty array!');
+		}
+
+
+		// the load balancing strategy can be set for all pools
+		// using a string or per pool using an object, the 
+		// «default» key applies to the other pools:
+		// {balancing: {read: 'weighted', default: 'round-robin'}}
+		if (typeof options.balancing === 'string') this.balancing = options.balancing;
+		else if (typeof options.balancing === 'object' && options.balancing !== null) {
+			for (let key of Object.keys(options.balancing)) {
+				if (key === 'default') this.balancing = options.balancing[key];
+				else this.poolBalancing[key] = options.balancing[key];
+			}
+		}
+
+		// queued low priority requests are never starved
+		if (options.priorityAging !== undefined) this.priorityAging = options.priorityAging;
+
+		// validate the strategies early
+		for (let strategy of [this.balancing].concat(Object.values(this.poolBalancing))) new LoadBalancer(strategy);
 	
 
-		// storage for the queues. Each queue is a linked list.
-		// the key is the composite name of the pools it hosts, 
-		// so «read» or «read, write». the linked list is used
-		// to store the requests that are waiting for a connection.
-		// linked lists are used becuae connection requests can be 
-		// stored in multiple wueues («read» or «read, write») and
-		// the items need to be removed from all queues in a fast 
-		// way.
+		// storage for the queues. Each queue is a priority queue
+		// backed by linked lists. the key is the composite name 
+		// of the pools it hosts, so «read» or «read, write». the 
+		// queue is used to store the requests that are waiting for 
+		// a connection. linked lists are used becuae connection 
+		// requests can be stored in multiple wueues («read» or 
+		// «read, write») and the items need to be removed from all 
+		// queues in a fast way.
 		this.queues = new Map();
 
 		// create a map for fast queue access. Means that this is 
@@ -98,33 +355,43 @@ module.exports = class Cluster extends Events {
 		this.queueMap = new Map();
 
 
+		// the ids of the queued requests per pool, a request is
+		// part of all queues serving its pool
+		this.queuedRequests = new Map();
+
+		// the pools that have reached their high watermark
+		this.overloadedPools = new Set();
+
+
 		// storage for the connections
 		this.pools = new Map();
 
 		// storage for nodes
 		this.nodes = new Set();
 
-		// check for the ttl regularly
-		this.checkInterval = setInterval(this.executeTTLCheck.bind(this), this.ttlCheckInterval);
-	}
+		// the node of each connection, used for load balancing
+		this.connectionNodes = new WeakMap();
 
+		// nodes that were removed but are still finishing
+		// their work
+		this.drainingNodes = new Set();
 
+		// distribution of the time requests wait for a connection
+		this.waitTimeHistogram = new Histogram(options.histogramBuckets);
 
+		// distribution of the query execution times
+		this.queryDurationHistogram = new Histogram(options.histogramBuckets);
 
-	printStats() {
-		log.info(`============= Cluster Stats =============`);
-		log.info(`Driver: ${this.driverName}; TTL: ${this.ttl}`);
-		log.info(`Queue / Max: ${this.queueLength} / ${this.maxQueueLength}`);
-		log.info(`Number of executed queries: ${this.executedQueryCounter}`);
-		log.info(`Pool count: ${this.pools.size}`);
-		for (const [name, pool] of this.queueMap.entries()) {
-			log.info(`- pool ${name} has ${pool.size} idle connections`);
-		}
 
-		log.info(`Node count: ${this.nodes.size}`);
-		for (const node of this.nodes.values()) {
-			node.printStats();
-		}
+		// add the configured hosts and the discovered ones
+		let providers = options.discovery ? [].concat(options.discovery) : [];
+
+		this.ready = Promise.all(hosts.map(host => this.addNode(host)).concat(providers.map(provider => this.addDiscovery(provider)))).then(() => this);
+
+		// the caller is not required to wait for the hosts
+		this.ready.catch((err) => {
+			log.debug(`Failed to load the configured hosts: ${err.message}`);
+		});
 	}
 
 
@@ -133,40 +400,54 @@ module.exports = class Cluster extends Events {
 
 
 
+
+
 	/**
-	 * loads the vendor specific implmentations which are used
-	 * to build the SQL queries, the connections and analyzers
+	 * creates a cluster from a configuration, see the constructor
+	 *
+	 * @param {object} configuration
+	 *
+	 * @returns {Promise} resolves to the cluster once all hosts 
+	 *					  have loaded
 	 */
-	loadVendorModules() {
-
-		// load the connection modules
+	static fromConfig(configuration) {
 		try {
-			this.ConnectionConstructor = require(`related-${this.driverName}-connection`);
-		} catch(e) {
-			throw new Error(`Failed to load the ${this.driverName} connection driver: ${e}`);
+			return new Cluster(configuration).ready;
+		} catch (err) {
+			return Promise.reject(err);
 		}
+	}
 
-		// load the query builder nodule
-		try {
-			this.QueryBuilderConstructor = require(`related-${this.driverName}-query-builder`);
-		} catch(e) {
-			throw new Error(`Failed to load the ${this.driverName} query builder: ${e}`);
-		}
 
-		// load the query compiler nodule
-		try {
-			let QueryCompilerConstructor = require(`related-${this.driverName}-query-compiler`);
-			this.compiler = new QueryCompilerConstructor();
-		} catch(e) {
-			throw new Error(`Failed to load the ${this.driverName} query compiler: ${e}`);
-		}
 
-		// load the analyzer nodule
-		try {
-			this.AnalyzerConstructor = require(`related-${this.driverName}-analyzer`);
-		} catch(e) {
-			throw new Error(`Failed to load the ${this.driverName} database analyzer: ${e}`);
+
+
+
+
+
+
+	/**
+	 * returns the validated hosts of a cluster configuration,
+	 * connection strings are expanded
+	 *
+	 * @param {object} options the cluster configuration
+	 *
+	 * @returns {array} the host configurations
+	 */
+	getHosts(options) {
+		if (options.hosts !== undefined && !Array.isArray(options.hosts)) throw new Error('The hosts of the cluster configuration must be an array!');
+
+		let hosts = (options.url !== undefined ? this.expandNodeConfiguration(options.url) : []).concat(...(options.hosts || []).map((host) => {
+			return typeof host === 'string' || (typeof host === 'object' && host !== null && host.url !== undefined) ? this.expandNodeConfiguration(host) : [host];
+		}));
+
+		for (let [index, host] of hosts.entries()) {
+			if (typeof host !== 'object' || host === null) throw new Error(`The host ${index} of the cluster configuration must be an object!`);
+			else if (typeof host.host !== 'string' || !host.host.length) throw new Error(`The host ${index} of the cluster configuration is missing the host property!`);
+			else this.normalizeNodeConfiguration(host, `The host «${host.host}»`);
 		}
+
+		return hosts;
 	}
 
 
@@ -177,35 +458,74 @@ module.exports = class Cluster extends Events {
 
 
 
+	/**
+	 * turns a connection string or an object with the url 
+	 * property into node configurations. the other properties
+	 * of the object are merged over the ones of the url
+	 *
+	 * @param {object|string} configuration
+	 *
+	 * @returns {array} the node configurations
+	 */
+	expandNodeConfiguration(configuration) {
+		if (typeof configuration === 'string') return DSN.parse(configuration);
+		else if (typeof configuration === 'object' && configuration !== null && configuration.url !== undefined) {
+			let settings = Object.assign({}, configuration);
+
+			delete settings.url;
+
+			return DSN.parse(configuration.url).map(node => Object.assign(node, settings));
+		}
+		else return [configuration];
+	}
+
+
+
+
+
+
+
 
 
 	/**
-	 * check for connection requests that are taking too long
+	 * validates the node settings of a configuration and
+	 * resolves the aliases (user, pass, db, pool)
+	 *
+	 * @param {object} configuration
+	 * @param {string} label describes the configuration in errors
+	 * @param {array} keys optional, only these settings are used
+	 *
+	 * @returns {object} the normalized settings
 	 */
-	executeTTLCheck() {
-		let removedRequests = 0;
+	normalizeNodeConfiguration(configuration, label, keys) {
+		let aliases = {user: 'username', pass: 'password', db: 'database', pool: 'pools'};
+		let normalized = {};
 
-		for (let queue of this.queues.values()) {
-			while (queue.length && queue.getLast().isExpired(this.ttl)) {
-				let request = queue.shift();
+		for (let key of Object.keys(configuration)) {
+			if (keys && !keys.includes(key)) continue;
 
+			let name = aliases[key] || key;
 
-				// cancel item
-				request.abort(new Error(`The connection request for a database connection timed out after ${this.ttl} seconds!`));
+			// the full name wins over the alias
+			if (aliases[key] && configuration[name] !== undefined) continue;
 
-				// remove from other queues
-				this.removeFromQueue(request);
+			if (configuration[key] !== undefined) normalized[name] = configuration[key];
+		}
 
-				// get the user some information about the cluster
-				if (removedRequests === 0) {
-					this.printStats();
-				}
+		if (typeof normalized.pools === 'string') normalized.pools = [normalized.pools];
 
-				removedRequests++;
-			}
+		for (let key of ['host', 'username', 'password', 'database']) {
+			if (normalized[key] !== undefined && typeof normalized[key] !== 'string') throw new Error(`${label} is invalid, the ${key} must be a string!`);
 		}
 
-		if (removedRequests > 0) log.warn(`Removed ${removedRequests} expired connection requests`);
+		if (normalized.port !== undefined && !(Number.isInteger(normalized.port) && normalized.port > 0 && normalized.port < 65536)) throw new Error(`${label} is invalid, the port must be an integer between 1 and 65535, got «${normalized.port}»!`);
+		if (normalized.maxConnections !== undefined && !(Number.isInteger(normalized.maxConnections) && normalized.maxConnections > 0)) throw new Error(`${label} is invalid, maxConnections must be a positive integer, got «${normalized.maxConnections}»!`);
+		if (normalized.ssl !== undefined && typeof normalized.ssl !== 'boolean' && (typeof normalized.ssl !== 'object' || normalized.ssl === null || Array.isArray(normalized.ssl))) throw new Error(`${label} is invalid, ssl must be a boolean or an object with the tls options!`);
+		if (normalized.pools !== undefined && !(Array.isArray(normalized.pools) && normalized.pools.length && normalized.pools.every(pool => typeof pool === 'string' && pool.length))) {
+			throw new Error(`${label} is invalid, the pools must be a non empty array of pool names!`);
+		}
+
+		return normalized;
 	}
 
 
@@ -213,106 +533,168 @@ module.exports = class Cluster extends Events {
 
 
 
+
+
+
 	/**
-	 * queues are used to store queries that cannot be executed 
-	 * immediately. each db node has one or mode pool memberships,
-	 * a queue is set up for each unique combination of those memberships.
-	 * Queries are put in each queue that has its specific pool registered 
-	 * on it. this makes it possible that when a free connection is 
-	 * available the best matching query can be executed on that connection.
+	 * validates the ttl, maxQueueLength, poolLimits and
+	 * queueWatermarks options
 	 *
-	 * since queries are potentially stored in multiple queues it will be 
-	 * removed from all queues as soon its being executed. using this 
-	 * algorithm the pool should always be as balanced as possible.
+	 * @param {object} options the cluster configuration
 	 *
-	 * @param {node} node the db node
+	 * @returns {object} the poolLimits and the queueWatermarks
 	 */
-	setUpQueue(node) {
+	normalizeQueueLimits(options) {
+		let poolLimits = options.poolLimits !== undefined ? options.poolLimits : this.poolLimits;
+		let queueWatermarks = Object.assign({}, this.queueWatermarks, options.queueWatermarks);
+
+		if (options.ttl !== undefined && !(options.ttl > 0)) throw new Error(`The ttl of the cluster must be a positive number of seconds, got «${options.ttl}»!`);
+		if (options.maxQueueLength !== undefined && !(Number.isInteger(options.maxQueueLength) && options.maxQueueLength > 0)) throw new Error(`The maxQueueLength of the cluster must be a positive integer, got «${options.maxQueueLength}»!`);
+		if (typeof poolLimits !== 'object' || poolLimits === null) throw new Error('The poolLimits must be an object containing the limits per pool!');
+
+		for (let [poolName, limits] of Object.entries(poolLimits)) {
+			if (typeof limits !== 'object' || limits === null) throw new Error(`The limits of the pool «${poolName}» must be an object!`);
+			else if (limits.maxQueueLength !== undefined && !(Number.isInteger(limits.maxQueueLength) && limits.maxQueueLength > 0)) throw new Error(`The maxQueueLength of the pool «${poolName}» must be a positive integer, got «${limits.maxQueueLength}»!`);
+			else if (limits.ttl !== undefined && !(limits.ttl > 0)) throw new Error(`The ttl of the pool «${poolName}» must be a positive number of seconds, got «${limits.ttl}»!`);
+		}
 
-		// create a queue for the composite name. we use linked lists 
-		// because we need O(1) access to the items in a queue since 
-		// queries can be part of many queues.
-		if (!this.queues.has(node.compositeName)) {
-			let list = new LinkedList();
+		if (!(queueWatermarks.high > 0 && queueWatermarks.high <= 1)) throw new Error(`The high queue watermark must be a fraction of the maxQueueLength between 0 and 1, got «${queueWatermarks.high}»!`);
+		if (!(queueWatermarks.low >= 0 && queueWatermarks.low < queueWatermarks.high)) throw new Error(`The low queue watermark must be a fraction of the maxQueueLength between 0 and the high watermark, got «${queueWatermarks.low}»!`);
 
-			// we need to count how many hosts are using this queue
-			list.nodeCount = 0;
+		return {poolLimits: poolLimits, queueWatermarks: queueWatermarks};
+	}
 
-			// add as queue
-			this.queues.set(node.compositeName, list);
+
+
+
+	printStats() {
+		log.info(`============= Cluster Stats =============`);
+		log.info(`Driver: ${this.driverName}; TTL: ${this.ttl}`);
+		log.info(`Queue / Max: ${this.queueLength} / ${this.maxQueueLength}`);
+		log.info(`Number of executed queries: ${this.executedQueryCounter}`);
+		log.info(`Number of failed queries: ${this.failedQueryCounter}`);
+		log.info(`Pool count: ${this.pools.size}`);
+		for (const [name, pool] of this.pools.entries()) {
+			log.info(`- pool ${name} has ${pool.length} idle connections`);
 		}
 
+		log.info(`Node count: ${this.nodes.size}`);
+		for (const node of this.nodes.values()) {
+			node.printStats();
+		}
+	}
 
-		// we'll need this later
-		let queue = this.queues.get(node.compositeName);
 
 
-		// we need to count how many hosts are using this queue
-		queue.nodeCount++;
 
 
-		// create a pool name based map so that wen can access the queues
-		// fast (O(1))
-		node.pools.forEach((poolName) => {
 
-			// set up the node
-			if (!this.queueMap.has(poolName)) this.queueMap.set(poolName, new Set());
 
-			// add the queue itself to the set
-			this.queueMap.get(poolName).add(queue);
-		});
+	/**
+	 * returns a structured snapshot of the state of the cluster,
+	 * its pools, queues and nodes. all times are in ms.
+	 *
+	 * @returns {object}
+	 */
+	getStats() {
+		let now = Date.now();
+		let pools = [];
+		let queues = [];
+		let nodes = [];
+
+		for (let [name, pool] of this.pools.entries()) {
+			pools.push({
+				  name 			: name
+				, idle 			: pool.length
+				, nodes 		: pool.nodeCount
+				, queued 		: this.getQueueLength(name)
+				, maxQueueLength : this.getMaxQueueLength(name)
+				, overloaded 	: this.isOverloaded(name)
+			});
+		}
+
+		for (let [name, queue] of this.queues.entries()) {
+			let oldest = queue.getLast(true);
+
+			queues.push({
+				  name 			: name
+				, length 		: queue.length
+				, oldestWait 	: oldest ? now - oldest.created : 0
+			});
+		}
 
+		for (let node of this.nodes) nodes.push(node.getStats());
+
+		return {
+			  driver 			: this.driverName
+			, ttl 				: this.ttl
+			, maxQueueLength 	: this.maxQueueLength
+			, queueLength 		: this.queueLength
+			, queries 			: {
+				  executed 	: this.executedQueryCounter
+				, succeeded : Math.max(0, this.executedQueryCounter - this.failedQueryCounter)
+				, failed 	: this.failedQueryCounter
+			}
+			, cache 			: this.cache ? {
+				  hits 		: this.cache.hits
+				, misses 	: this.cache.misses
+			} : null
+			, pools 			: pools
+			, queues 			: queues
+			, nodes 			: nodes
+			, waitTime 			: this.waitTimeHistogram.getSnapshot()
+			, queryDuration 	: this.queryDurationHistogram.getSnapshot()
+		};
+	}
 
 
 
 
-		// cleanup after hosts shutdown
-		node.once('end', () => {
 
-			// there should be a queue for this host, make sure its there!
-			if (this.queues.has(node.compositeName)) {
-				let list = this.queues.get(node.compositeName);
 
-				list.nodeCount--;
 
 
-				// the last node of this queue was removed, remove it!
-				if (list.nodeCount === 0) {
+	/**
+	 * returns the stats of the cluster in the prometheus
+	 * text format
+	 *
+	 * @param {object} options options for the PrometheusFormatter
+	 *
+	 * @returns {string}
+	 */
+	getPrometheusMetrics(options) {
+		return new PrometheusFormatter(options).format(this.getStats());
+	}
 
-					// go through all queries in the queue and checkif its contained
-					// in any other queue, if no, return an error to the query callback
-					for (let query of list) {
-						if (this.queueMap.get(query.pool).length === 1) {
-							// this is the last queue this query is part of
-							// cancel it
-							query.callback(new RelatedError.NoConncetionError('There is no suitable host left for the «'+query.pool+'» pool. The last host for that pool has gone down!'));
-						}
-					}
 
 
-					// all queries where canceled, remove queue
-					this.queues.delete(node.compositeName);
 
 
-					// remove from maps
-					node.pools.forEach((poolName) => {
 
-						
-						if (this.queueMap.get(poolName).length === 1) {
 
-							// we're the last queue for this map item, removei it
-							this.queueMap.delete(poolName);
-						}
-						else {
-							
-							// not the last item, remove this one from the set
-							this.queueMap.get(poolName).delete(list);
-						}
-					});
-				}
-			}
-			else throw new Error('Cannot remove «'+node.compositeName+'» queue, it does not exist!');
-		});
+
+	/**
+	 * loads the vendor specific implmentations which are used
+	 * to build the SQL queries, the connections and analyzers
+	 */
+	loadVendorModules() {
+		let driver;
+
+		if (this.driver) {
+			drivers.validate(this.driverName, this.driver);
+			driver = this.driver;
+		}
+		else driver = drivers.get(this.driverName);
+
+
+		this.ConnectionConstructor = driver.Connection;
+		this.QueryBuilderConstructor = driver.QueryBuilder;
+		this.AnalyzerConstructor = driver.Analyzer;
+
+		// the maintenance queries, optional
+		this.dialect = driver.dialect || null;
+
+		this.compiler = new driver.QueryCompiler();
 	}
 
 
@@ -323,61 +705,2347 @@ module.exports = class Cluster extends Events {
 
 
 	/**
-	 * sets up a connection pool for a given id
+	 * registers a driver that can be used by all clusters
+	 * created afterwards, overrides the related-<driver>-*
+	 * packages with the same name
 	 *
-		 * @param {node} node the db node
+	 * @param {string} name the name of the driver
+	 * @param {object} driver the Connection, QueryBuilder, 
+	 *				   QueryCompiler and Analyzer classes
 	 */
-	setUpPool(node) {
-
-		// make sure that we have a pool for every pool set on the node
-		node.pools.forEach((poolName) => {
-			if (!this.pools.has(poolName)) {
+	static registerDriver(name, driver) {
+		drivers.register(name, driver);
+	}
 
-				// each pool is alinkedlist, used for fast acces
-				let list = new LinkedList();
 
-				// we need to count how many nodes add their connections
-				// to this pool
-				list.nodeCount = 0;
 
-				// add to pool map
-				this.pools.set(poolName, list);
-			}
 
 
-			// increase the node counter
-			this.pools.get(poolName).nodeCount++;
-		});
 
 
 
-		// clean up the pools if the node goes down
-		node.once('end', () => {
 
-			node.pools.forEach((poolName) => {
-				if (this.pools.has(poolName)) {
-					let pool = this.pools.get(poolName);
+	/**
+	 * checks if a query failed because the connection to the host
+	 * was lost. the drivers reject the running queries with the 
+	 * errors of their clients, for example «Connection terminated 
+	 * unexpectedly» or the socket error, so they are recognized
+	 * by their code and message
+	 *
+	 * @param {Error} err
+	 *
+	 * @returns {boolean}
+	 */
+	static isConnectivityError(err) {
+		if (!err) return false;
+		else if (err instanceof RelatedError.FailedToConnectError) return true;
+		else return Cluster.connectivityErrorCodes.includes(err.code) || /^Connection terminated/i.test(err.message || '');
+	}
 
 
-					// decrease the node counf
-					pool.nodeCount--;
 
 
-					if (pool.nodeCount === 0) {
 
-						// let us delte the pool, the connections should be 
-						this.pools.delete(poolName);
-					}
-				}
-				else throw new Error('Cannot remove «'+poolName+'» pool, it does not exist!');
-			});				
-		});
+	/**
+	 * the codes of the errors caused by a lost connection: socket
+	 * errors, the postgres admin_shutdown, crash_shutdown and 
+	 * cannot_connect_now states and the mysql protocol error
+	 */
+	static get connectivityErrorCodes() {
+		return [
+			  'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH'
+			, '57P01', '57P02', '57P03'
+			, 'PROTOCOL_CONNECTION_LOST'
+		];
 	}
 
 
 
 
 
+	/**
+	 * the settings of the cluster configuration that are used
+	 * as defaults for all hosts
+	 */
+	static get sharedNodeOptions() {
+		return [
+			  'username', 'user', 'password', 'pass', 'database', 'db', 'port'
+			, 'maxConnections', 'pools', 'pool', 'weight', 'minIdle', 'maxIdle'
+			, 'idleTimeout', 'maxLifetime', 'maxLifetimeJitter', 'maxQueriesPerConnection'
+			, 'replicationLagInterval', 'ssl'
+		];
+	}
+
+
+
+
+
+
+
+
+
+
+
+	/**
+	 * check for connection requests that have passed their 
+	 * deadline. the requests are canceled by their own timers,
+	 * this can be used to sweep the queues anyway
+	 */
+	executeTTLCheck() {
+		let removedRequests = 0;
+
+		for (let queue of this.queues.values()) {
+			for (let request of queue) {
+				if (request.hasExpired()) {
+
+					// cancel item, removes it from all queues
+					this.expireRequest(request);
+
+					removedRequests++;
+				}
+			}
+		}
+
+		if (removedRequests > 0) log.warn(`Removed ${removedRequests} expired connection requests`);
+	}
+
+
+
+
+
+
+	/**
+	 * cancels a request that has reached its deadline
+	 *
+	 * @param {ConnectionRequest} request
+	 */
+	expireRequest(request) {
+		log.warn(`A connection request for the pool «${request.pool}» timed out`);
+
+		this.cancelRequest(request, new Error(`The connection request for a database connection timed out after ${request.deadline - request.created} ms!`));
+	}
+
+
+
+
+
+
+	/**
+	 * removes a request from all queues and rejects it
+	 *
+	 * @param {ConnectionRequest} request
+	 * @param {Error} err the reason
+	 */
+	cancelRequest(request, err) {
+		this.removeFromQueue(request);
+		request.abort(err);
+	}
+
+
+
+
+
+
+	/**
+	 * queues are used to store queries that cannot be executed 
+	 * immediately. each db node has one or mode pool memberships,
+	 * a queue is set up for each unique combination of those memberships.
+	 * Queries are put in each queue that has its specific pool registered 
+	 * on it. this makes it possible that when a free connection is 
+	 * available the best matching query can be executed on that connection.
+	 *
+	 * since queries are potentially stored in multiple queues it will be 
+	 * removed from all queues as soon its being executed. using this 
+	 * algorithm the pool should always be as balanced as possible.
+	 *
+	 * @param {node} node the db node
+	 */
+	setUpQueue(node) {
+
+		// create a queue for the composite name. the priority queue 
+		// uses linked lists because we need O(1) access to the items 
+		// in a queue since queries can be part of many queues.
+		if (!this.queues.has(node.compositeName)) {
+			let list = new PriorityQueue({aging: this.priorityAging});
+
+			// we need to count how many hosts are using this queue
+			list.nodeCount = 0;
+
+			// add as queue
+			this.queues.set(node.compositeName, list);
+
+
+			// requests that are already waiting for the pools of
+			// the node can be served by it too
+			for (let poolName of node.pools) {
+				if (this.queueMap.has(poolName)) {
+					for (let queue of this.queueMap.get(poolName)) {
+						for (let request of queue) {
+							if (request.pool === poolName && !list.has(request.id)) list.push(request.id, request);
+						}
+					}
+				}
+			}
+		}
+
+
+		// we'll need this later
+		let queue = this.queues.get(node.compositeName);
+
+
+		// we need to count how many hosts are using this queue
+		queue.nodeCount++;
+
+
+		// create a pool name based map so that wen can access the queues
+		// fast (O(1))
+		node.pools.forEach((poolName) => {
+
+			// set up the node
+			if (!this.queueMap.has(poolName)) this.queueMap.set(poolName, new Set());
+
+			// add the queue itself to the set
+			this.queueMap.get(poolName).add(queue);
+		});
+	}
+
+
+
+
+
+
+
+	/**
+	 * removes a node from its queue. if it was the last node
+	 * serving that queue, the queue is removed and its requests
+	 * are moved to the other queues serving the same pool.
+	 * requests that cannot be moved anywhere are aborted.
+	 *
+	 * @param {node} node the db node
+	 */
+	tearDownQueue(node) {
+
+		// there should be a queue for this host, make sure its there!
+		if (!this.queues || !this.queues.has(node.compositeName)) throw new Error('Cannot remove «'+node.compositeName+'» queue, it does not exist!');
+
+		let list = this.queues.get(node.compositeName);
+
+		list.nodeCount--;
+
+
+		// the last node of this queue was removed, remove it!
+		if (list.nodeCount === 0) {
+			this.queues.delete(node.compositeName);
+
+
+			// remove from maps
+			node.pools.forEach((poolName) => {
+				let queues = this.queueMap.get(poolName);
+
+				queues.delete(list);
+
+				// we're the last queue for this map item, remove it
+				if (!queues.size) this.queueMap.delete(poolName);
+			});
+
+
+
+			// go through all requests in the queue and make sure they are
+			// contained in all other queues serving the same pool. if there
+			// is no such queue left, the request has to be canceled
+			for (let request of list) {
+				if (this.queueMap.has(request.pool)) {
+					for (let queue of this.queueMap.get(request.pool)) {
+						if (!queue.has(request.id)) queue.push(request.id, request);
+					}
+				}
+				else this.cancelRequest(request, new Error('There is no suitable host left for the «'+request.pool+'» pool. The last host for that pool has gone down!'));
+			}
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * sets up a connection pool for a given id
+	 *
+		 * @param {node} node the db node
+	 */
+	setUpPool(node) {
+
+		// make sure that we have a pool for every pool set on the node
+		node.pools.forEach((poolName) => {
+			if (!this.pools.has(poolName)) {
+
+				// each pool is alinkedlist, used for fast acces
+				let list = new LinkedList();
+
+				// we need to count how many nodes add their connections
+				// to this pool
+				list.nodeCount = 0;
+
+				// selects the connections handed out from this pool
+				list.balancer = new LoadBalancer(this.poolBalancing[poolName] || this.balancing);
+
+				// add to pool map
+				this.pools.set(poolName, list);
+			}
+
+
+			// increase the node counter
+			this.pools.get(poolName).nodeCount++;
+		});
+	}
+
+
+
+
+
+
+
+	/**
+	 * removes a node from its connection pools, removes
+	 * its idle connections from them and deletes pools
+	 * that are not served by any node anymore
+	 *
+	 * @param {node} node the db node
+	 */
+	tearDownPool(node) {
+		node.pools.forEach((poolName) => {
+			if (this.pools.has(poolName)) {
+				let pool = this.pools.get(poolName);
+
+
+				// the connections of the node must not be handed 
+				// out anymore
+				if (node.connections) {
+					for (let connection of node.connections) {
+						if (pool.has(connection.id)) pool.remove(connection.id);
+					}
+				}
+
+
+				// decrease the node counf
+				pool.nodeCount--;
+
+
+				if (pool.nodeCount === 0) {
+
+					// let us delte the pool, the connections should be 
+					this.pools.delete(poolName);
+				}
+			}
+			else throw new Error('Cannot remove «'+poolName+'» pool, it does not exist!');
+		});
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * removes a node from the pools and queues of the cluster.
+	 * the node itself is not ended by this method
+	 *
+	 * @param {node} node the db node
+	 */
+	detachNode(node) {
+		if (this.nodes.has(node)) {
+			this.nodes.delete(node);
+
+			this.tearDownPool(node);
+			this.tearDownQueue(node);
+		}
+	}
+
+
+
+
+
+
+
+
+
+
+
+	/**
+	 * adds a new node to the cluster. its configuration is 
+	 * merged over the settings shared by all hosts
+	 *
+	 * @param {object|string} configuration the node configuration,
+	 *						  a connection string or an object with 
+	 *						  the url property
+	 *
+	 * @returns {Promise} resolves to the node or to an array of
+	 *					  nodes for connection strings with 
+	 *					  multiple hosts
+	 */
+	addNode(configuration) {
+		let configurations;
+
+		try {
+			configurations = this.expandNodeConfiguration(configuration);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot add a new node!'));
+		else if (configurations.length > 1) return Promise.all(configurations.map(nodeConfiguration => this.addNode(nodeConfiguration)));
+		else if (configurations[0] && configurations[0].type && configurations[0].type !== this.driverName) {
+			return Promise.reject(new Error(`Cannot add the node «${configurations[0].host}», the connection string is for the ${configurations[0].type} driver but the cluster uses the ${this.driverName} driver!`));
+		}
+		else {
+			configuration = configurations[0];
+
+			return new Promise((resolve, reject) => {
+				configuration = Object.assign({}, this.nodeDefaults, this.normalizeNodeConfiguration(configuration || {}, `The host «${configuration && configuration.host}»`));
+
+				// create node instance, set some sane defaults 
+				// (this should work for most CIs)
+				let node = new Node({
+					  host 					: configuration.host || 'localhost'
+					, username  			: configuration.username || configuration.user
+					, password  			: configuration.password || configuration.pass || ''
+					, port 					: configuration.port
+					, maxConnections 		: configuration.maxConnections || configuration.max || 100
+					, pools 				: (configuration.pools || (configuration.pool ? [configuration.pool] : ['read', 'write'])).sort()
+					, ConnectionConstructor : this.ConnectionConstructor
+					, database 				: configuration.database || configuration.db || null
+					, ssl 					: configuration.ssl || false
+					, weight 				: configuration.weight
+					, minIdle 				: configuration.minIdle
+					, maxIdle 				: configuration.maxIdle
+					, idleTimeout 			: configuration.idleTimeout
+					, maxLifetime 			: configuration.maxLifetime
+					, maxLifetimeJitter 	: configuration.maxLifetimeJitter
+					, maxQueriesPerConnection : configuration.maxQueriesPerConnection
+					, dialect 				: this.dialect
+					, maxReplicationLag 	: configuration.maxReplicationLag !== undefined ? configuration.maxReplicationLag : this.maxReplicationLag
+					, replicationLagInterval : configuration.replicationLagInterval
+					, roleDiscovery 		: configuration.roleDiscovery !== undefined ? !!configuration.roleDiscovery && !!this.roleDiscovery : !!this.roleDiscovery
+					, roleCheckInterval 	: this.roleDiscovery ? this.roleDiscovery.interval : undefined
+					, positionCheckInterval : this.consistency ? this.consistency.checkInterval : undefined
+					, backoff 				: configuration.backoff || this.backoff
+					, circuitBreaker 		: configuration.circuitBreaker || this.circuitBreaker
+				});
+
+
+
+
+				// set up a connection pool for the node
+				this.setUpPool(node);
+
+				// set up a queue for the node
+				this.setUpQueue(node);
+
+
+
+
+
+				// store the node so it can be accessed later
+				this.nodes.add(node);					
+
+				// if the node ends we need to clean up after it
+				node.once('end', () => {
+					this.detachNode(node);
+				});
+
+				// let the outside know what happens to the node
+				node.on('stateChange', (state, previousState, reason) => {
+					this.handleNodeStateChange(node, state, previousState, reason);
+				});
+
+				// requests must not wait for unavailable nodes
+				node.on('circuitOpen', () => {
+					this.handleCircuitOpen(node);
+				});
+
+				node.on('circuitClose', () => {
+					this.emit('nodeCircuitClose', this.describeNode(node));
+				});
+
+				// the node was promoted or demoted
+				node.on('roleChange', (role, previousRole) => {
+					this.handleRoleChange(node, role, previousRole);
+				});
+
+
+
+
+				// more importantly, if a node emits a connection it should be used for the
+				// next connection request in the queue or added to the pool
+				node.on('connection', (connection) => {
+					this.connectionNodes.set(connection, node);
+
+					// the connection may already be idle at this point
+					if (connection.idle) this.handleIdleConnection(node, connection);
+
+
+					// add the connection to the pools as soon its getting idle
+					connection.on('idle', () => {
+						this.handleIdleConnection(node, connection);
+					});
+					
+
+					// connections used while they are in the pools, for 
+					// example by the maintenance queries of the node, must 
+					// not be handed out
+					connection.on('busy', () => {
+						this.removeFromPools(node, connection);
+					});
+
+					// remove the connection from the pools as soon as
+					// it ends
+					connection.once('end', () => {
+						this.removeFromPools(node, connection);
+					});
+				});
+				
+
+
+				node.once('load', () => resolve(node));
+			});
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * re-emits the state changes of a node on the cluster
+	 *
+	 * @param {node} node the db node
+	 * @param {string} state the new state of the node
+	 * @param {string} previousState the previous state of the node
+	 * @param {string} reason why the state has changed
+	 */
+	handleNodeStateChange(node, state, previousState, reason) {
+		let event = this.describeNode(node);
+
+		event.previousState = previousState;
+		event.reason = reason;
+
+		if (state === 'down') log.warn(`The node «${node.config.host}» serving the pools «${node.compositeName}» is down: ${reason}`);
+
+		this.emit('nodeStateChange', event);
+
+		if (state === 'down') this.emit('nodeDown', event);
+		else if (state === 'up') this.emit('nodeUp', event);
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * the circuit breaker of a node has opened. all requests
+	 * waiting for a pool that has no other available node are 
+	 * aborted
+	 *
+	 * @param {node} node the db node
+	 */
+	handleCircuitOpen(node) {
+		this.emit('nodeCircuitOpen', this.describeNode(node));
+
+		for (let poolName of node.pools) {
+			if (!this.hasAvailableNode(poolName) && this.queueMap.has(poolName)) {
+				let err = new Error(`All nodes serving the pool «${poolName}» are unavailable, the request was aborted!`);
+
+				for (let queue of this.queueMap.get(poolName)) {
+					for (let request of queue) {
+						if (request.pool === poolName) {
+							this.removeFromQueue(request);
+							request.abort(err);
+						}
+					}
+				}
+			}
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * moves a node to the pools configured for its role
+	 *
+	 * @param {node} node the db node
+	 * @param {string} role primary or replica
+	 * @param {string} previousRole the role before, null if unknown
+	 */
+	handleRoleChange(node, role, previousRole) {
+		this.moveNode(node, role === 'primary' ? this.roleDiscovery.primaryPools : this.roleDiscovery.replicaPools);
+
+		if (role === 'primary') {
+			let event = this.describeNode(node);
+
+			event.previousRole = previousRole;
+			event.previousPrimary = this.primary && this.primary !== node ? this.describeNode(this.primary) : null;
+
+			this.primary = node;
+
+			log.info(`The node «${node.config.host}» is the new primary`);
+
+			this.emit('primaryChanged', event);
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * moves a node to other pools. the new pools and queues are
+	 * set up before the old ones are torn down so that queued
+	 * requests are not lost. requests for pools that are not
+	 * served anymore are aborted.
+	 *
+	 * @param {node|symbol} nodeOrId the node or its id
+	 * @param {array} pools the names of the new pools
+	 */
+	moveNode(nodeOrId, pools) {
+		let node = this.getNode(nodeOrId);
+
+		if (!node) throw new Error('Cannot move the node, it is not part of the cluster!');
+
+		pools = pools.slice().sort();
+
+		if (pools.join('/') === node.compositeName) return;
+
+		log.info(`Moving the node «${node.config.host}» from the pools «${node.compositeName}» to «${pools.join('/')}»`);
+
+
+		// the idle connections are put into the new pools later
+		let idleConnections = Array.from(node.idleSince.keys());
+
+		for (let connection of idleConnections) this.removeFromPools(node, connection);
+
+
+		// the old membership, used for the tear down
+		let previous = {
+			  pools 			: node.pools.slice()
+			, compositeName 	: node.compositeName
+			, connections 		: null
+		};
+
+
+		// the connections reference the pools array of the 
+		// node, it has to be changed in place
+		node.pools.splice(0, node.pools.length, ...pools);
+		node.compositeName = pools.join('/');
+
+		this.setUpPool(node);
+		this.setUpQueue(node);
+
+		this.tearDownPool(previous);
+		this.tearDownQueue(previous);
+
+
+		// serve the waiting requests or fill the new pools
+		for (let connection of idleConnections) this.handleIdleConnection(node, connection);
+
+		for (let poolName of new Set(previous.pools.concat(pools))) this.updateDemand(poolName);
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * checks if there is a node serving a pool that is 
+	 * not considered unavailable by its circuit breaker
+	 *
+	 * @param {string} poolName the name of the pool
+	 * @param {function} accept optional, returns false for 
+	 *					 nodes that must not be considered
+	 *
+	 * @returns {boolean}
+	 */
+	hasAvailableNode(poolName, accept) {
+		for (let node of this.nodes) {
+			if (!node.circuitOpen && node.pools.includes(poolName) && (!accept || accept(node))) return true;
+		}
+
+		return false;
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * returns an object describing a node, used for events
+	 *
+	 * @param {node} node the db node
+	 *
+	 * @returns {object}
+	 */
+	describeNode(node) {
+		return {
+			  node 			: node
+			, host 			: node.config.host
+			, port 			: node.config.port
+			, database 		: node.config.database
+			, pools 		: node.pools.slice()
+			, state 		: node.state
+			, role 			: node.role
+		};
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * returns a node by its instance or its id
+	 *
+	 * @param {node|symbol} nodeOrId the node or its id
+	 *
+	 * @returns {node|undefined}
+	 */
+	getNode(nodeOrId) {
+		for (let node of this.nodes) {
+			if (node === nodeOrId || node.id === nodeOrId) return node;
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * applies a new configuration to the running cluster. the 
+	 * hosts are compared to the nodes by their host, port and
+	 * database:
+	 * - new hosts are added
+	 * - nodes without host are drained and removed
+	 * - nodes with changed credentials are replaced
+	 * - the pools and limits of the other nodes are updated, limits
+	 *   that are not set anymore get their defaults
+	 *
+	 * the nodes added by discovery providers are not changed.
+	 * new nodes are set up before the others are moved or removed
+	 * so that queued requests are not aborted as long as a node
+	 * serves their pool. the ttl, the maxQueueLength, the 
+	 * poolLimits and the queueWatermarks are updated if they 
+	 * are set.
+	 *
+	 * @param {object|string} configuration see the constructor
+	 * @param {object} options
+	 * @param {number} options.timeout ms to wait for removed nodes
+	 *				   to drain, see removeNode
+	 *
+	 * @returns {Promise} resolves to the added, updated and removed
+	 *					  nodes (see describeNode) once the new nodes
+	 *					  have loaded and the removed ones have ended
+	 */
+	reconfigure(configuration, options) {
+		options = options || {};
+
+		if (typeof configuration === 'string') configuration = {url: configuration};
+
+		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot reconfigure it!'));
+		else if (typeof configuration !== 'object' || configuration === null) return Promise.reject(new Error('The cluster expects a configuration object!'));
+
+		let hosts;
+		let defaults;
+		let queueLimits;
+
+		try {
+			hosts = this.getHosts(configuration);
+			defaults = this.normalizeNodeConfiguration(configuration, 'The cluster configuration', Cluster.sharedNodeOptions);
+			queueLimits = this.normalizeQueueLimits(configuration);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		let driverName = configuration.driver || configuration.type;
+
+		if (typeof driverName === 'string' && driverName !== this.driverName) return Promise.reject(new Error(`Cannot change the driver of a running cluster from ${this.driverName} to ${driverName}!`));
+		
+		for (let host of hosts) {
+			if (host.type && host.type !== this.driverName) return Promise.reject(new Error(`Cannot add the node «${host.host}», the connection string is for the ${host.type} driver but the cluster uses the ${this.driverName} driver!`));
+		}
+
+
+		let key = config => this.getNodeKey(config);
+		let discovered = new Set([].concat(...Array.from(this.discovery.values()).map(state => Array.from(state.keys))));
+
+		// the discovered nodes are managed by their providers
+		let existing = new Map(Array.from(this.nodes).filter(node => !discovered.has(key(node.config))).map(node => [key(node.config), node]));
+		let added = [];
+		let updated = [];
+		let removed;
+
+
+		// match the hosts with the nodes
+		for (let host of hosts) {
+			let config = Object.assign({}, defaults, this.normalizeNodeConfiguration(host, `The host «${host.host}»`));
+			let node = existing.get(key(config));
+
+			if (node && (config.username || '') === (node.config.username || '') && (config.password || '') === (node.config.password || '')) {
+				existing.delete(key(config));
+				updated.push({node: node, config: config});
+			}
+			else added.push(config);
+		}
+
+		// nodes that are not configured anymore or are replaced
+		removed = Array.from(existing.values());
+
+
+		// the limits are validated by the nodes, restore the
+		// nodes updated so far if one of them fails
+		let previousLimits = [];
+
+		try {
+			for (let {node, config} of updated) {
+				let limits = Object.assign({}, config, {maxConnections: config.maxConnections || 100});
+
+				previousLimits.push({node: node, limits: {
+					  maxConnections 			: node.maxConnections
+					, minIdle 					: node.minIdle
+					, maxIdle 					: node.maxIdle
+					, idleTimeout 				: node.idleTimeout
+					, maxLifetime 				: node.maxLifetime
+					, maxLifetimeJitter 		: node.maxLifetimeJitter
+					, maxQueriesPerConnection 	: node.maxQueriesPerConnection
+					, weight 					: node.weight
+				}});
+
+				node.updateLimits(limits);
+			}
+		} catch (err) {
+			for (let {node, limits} of previousLimits) node.updateLimits(limits);
+
+			return Promise.reject(new Error(`Cannot reconfigure the cluster: ${err.message}`));
+		}
+
+
+		log.info(`Reconfiguring the cluster, adding ${added.length}, updating ${updated.length} and removing ${removed.length} nodes`);
+
+		if (configuration.ttl) this.ttl = configuration.ttl;
+		if (configuration.maxQueueLength) this.maxQueueLength = configuration.maxQueueLength;
+
+		Object.assign(this, queueLimits);
+
+		this.nodeDefaults = defaults;
+
+
+		// set up the new nodes first, their pools and queues are
+		// created synchronously
+		let loading = added.map(config => this.addNode(config));
+
+		for (let {node, config} of updated) {
+
+			// the pools follow the role of the node
+			if (!this.roleDiscovery) this.moveNode(node, config.pools || ['read', 'write']);
+
+			// close the idle connections exceeding a lowered limit, 
+			// the busy ones are closed when they are returned
+			let excess = node.count - node.maxConnections;
+
+			for (let connection of Array.from(node.idleSince.keys())) {
+				if (excess-- <= 0) break;
+
+				this.removeFromPools(node, connection);
+				connection.kill();
+			}
+		}
+
+		let removing = removed.map((node) => {
+			let event = this.describeNode(node);
+
+			return this.removeNode(node, {timeout: options.timeout}).then(() => event);
+		});
+
+
+		return Promise.all([Promise.all(loading), Promise.all(removing)]).then(([addedNodes, removedNodes]) => {
+			return {
+				  added 	: [].concat(...addedNodes).map(node => this.describeNode(node))
+				, updated 	: updated.map(({node}) => this.describeNode(node))
+				, removed 	: removedNodes
+			};
+		});
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * returns the key used to match host configurations with
+	 * the nodes of the cluster: the host, port and database. 
+	 * hosts without port use the default port of the driver
+	 *
+	 * @param {object} config a node configuration
+	 *
+	 * @returns {string}
+	 */
+	getNodeKey(config) {
+		let port = config.port || (this.dialect && this.dialect.defaultPort) || '';
+
+		return `${config.host || 'localhost'}:${port}/${config.database || config.db || ''}`;
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * adds a discovery provider. the provider emits the complete 
+	 * set of hosts whenever it changes, the cluster adds the new
+	 * hosts, removes the nodes that have disappeared and moves the
+	 * nodes whose pools have changed. hosts that are already part
+	 * of the cluster are not added twice. the shared settings of 
+	 * the cluster configuration apply to the discovered hosts.
+	 *
+	 * errors of the provider are emitted as discoveryError event,
+	 * the nodes stay as they are.
+	 *
+	 * @param {DiscoveryProvider} provider see DiscoveryProvider
+	 *
+	 * @returns {Promise} resolves once the provider has started 
+	 *					  and the hosts it found have loaded
+	 */
+	addDiscovery(provider) {
+		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot add a discovery provider!'));
+		else if (!provider || typeof provider.start !== 'function' || typeof provider.stop !== 'function' || typeof provider.on !== 'function') {
+			return Promise.reject(new Error('The discovery provider must implement the start() and stop() methods and emit the hosts event!'));
+		}
+		else if (this.discovery.has(provider)) return Promise.reject(new Error('The discovery provider was already added to the cluster!'));
+		else {
+			let state = {
+				  keys 			: new Set()
+				, loading 		: Promise.resolve()
+				, onHosts 		: hosts => this.reconcileDiscovery(provider, hosts)
+				, onError 		: err => this.emit('discoveryError', err, provider)
+			};
+
+			this.discovery.set(provider, state);
+
+			provider.on('hosts', state.onHosts);
+			provider.on('error', state.onError);
+
+			return Promise.resolve().then(() => provider.start()).then(() => state.loading).catch((err) => {
+				this.detachDiscovery(provider);
+
+				return Promise.reject(err);
+			});
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * stops a discovery provider and removes the nodes it has added
+	 *
+	 * @param {DiscoveryProvider} provider
+	 * @param {object} options see removeNode
+	 *
+	 * @returns {Promise} resolves once the nodes have ended
+	 */
+	removeDiscovery(provider, options) {
+		let state = this.discovery.get(provider);
+
+		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot remove a discovery provider!'));
+		else if (!state) return Promise.reject(new Error('Cannot remove the discovery provider, it is not part of the cluster!'));
+		else {
+			return this.detachDiscovery(provider).then(() => {
+				let nodes = Array.from(this.nodes).filter(node => state.keys.has(this.getNodeKey(node.config)));
+
+				return Promise.all(nodes.map(node => this.removeNode(node, options)));
+			}).then(() => {});
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * stops a discovery provider and stops listening to it
+	 *
+	 * @param {DiscoveryProvider} provider
+	 *
+	 * @returns {Promise}
+	 */
+	detachDiscovery(provider) {
+		let state = this.discovery.get(provider);
+
+		if (!state) return Promise.resolve();
+
+		this.discovery.delete(provider);
+
+		provider.removeListener('hosts', state.onHosts);
+		provider.removeListener('error', state.onError);
+
+		return Promise.resolve().then(() => provider.stop());
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * applies the hosts emitted by a discovery provider
+	 *
+	 * @param {DiscoveryProvider} provider
+	 * @param {array} hosts the complete set of hosts
+	 */
+	reconcileDiscovery(provider, hosts) {
+		let state = this.discovery.get(provider);
+
+		if (!state || this.ended) return;
+
+		if (!Array.isArray(hosts)) return this.emit('discoveryError', new Error('The discovery provider must emit an array of hosts!'), provider);
+
+
+		// the valid hosts by their key, invalid ones are reported
+		// and ignored
+		let configurations = new Map();
+
+		for (let host of hosts) {
+			try {
+				for (let configuration of this.expandNodeConfiguration(host)) {
+					if (typeof configuration !== 'object' || configuration === null || typeof configuration.host !== 'string' || !configuration.host.length) throw new Error('The discovered host is missing the host property!');
+					else if (configuration.type && configuration.type !== this.driverName) throw new Error(`Cannot add the node «${configuration.host}», the connection string is for the ${configuration.type} driver but the cluster uses the ${this.driverName} driver!`);
+
+					let config = Object.assign({}, this.nodeDefaults, this.normalizeNodeConfiguration(configuration, `The discovered host «${configuration.host}»`));
+
+					configurations.set(this.getNodeKey(config), {configuration: configuration, config: config});
+				}
+			} catch (err) {
+				this.emit('discoveryError', err, provider);
+			}
+		}
+
+
+		let nodes = new Map(Array.from(this.nodes).map(node => [this.getNodeKey(node.config), node]));
+		let loading = [];
+
+
+		// the nodes that have disappeared
+		for (let key of state.keys) {
+			if (configurations.has(key)) continue;
+
+			state.keys.delete(key);
+
+			if (nodes.has(key)) {
+				log.info(`The discovered node «${key}» has disappeared, removing it`);
+
+				this.removeNode(nodes.get(key)).catch((err) => {
+					log.debug(`Failed to remove the discovered node «${key}»: ${err.message}`);
+				});
+			}
+		}
+
+
+		for (let [key, {configuration, config}] of configurations) {
+			let node = nodes.get(key);
+
+			if (!node) {
+				log.info(`Adding the discovered node «${key}»`);
+
+				state.keys.add(key);
+
+				// a node that failed to load was not added, it is
+				// added again when the provider emits it next time
+				loading.push(this.addNode(configuration).catch((err) => {
+					state.keys.delete(key);
+
+					return Promise.reject(err);
+				}));
+			}
+			else if (state.keys.has(key) && !this.roleDiscovery) this.moveNode(node, config.pools || ['read', 'write']);
+		}
+
+
+		// addDiscovery waits for the first nodes to load
+		state.loading = Promise.all(loading).catch((err) => {
+			this.emit('discoveryError', err, provider);
+		});
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * removes a node from the cluster. the node does not get
+	 * any new work, its idle connections are closed, running 
+	 * queries may finish and its queued requests are moved to 
+	 * the other nodes serving the same pools.
+	 *
+	 * @param {node|symbol} nodeOrId the node or its id
+	 * @param {object} options
+	 * @param {boolean} options.drain wait for busy connections, defaults to true
+	 * @param {number} options.timeout ms to wait for the drain before
+	 *				   the node is ended forcefully, defaults to the
+	 *				   drainTimeout of the cluster, 0 waits forever
+	 *
+	 * @returns {Promise} resolves as soon as the node has ended
+	 */
+	removeNode(nodeOrId, options) {
+		options = options || {};
+
+		let node = this.getNode(nodeOrId);
+
+		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot remove a node!'));
+		else if (!node) return Promise.reject(new Error('Cannot remove the node, it is not part of the cluster!'));
+		else {
+			log.debug(`Removing the node for the pools «${node.compositeName}» from the cluster`);
+
+			return new Promise((resolve) => {
+
+				// the idle connections can be closed right away, the others
+				// are closed as soon as they are returned to the cluster
+				let idleConnections = [];
+
+				for (let connection of node.connections) {
+					if (node.pools.some(poolName => this.pools.get(poolName).has(connection.id))) idleConnections.push(connection);
+				}
+
+
+				// the node must not receive any new work
+				this.detachNode(node);
+
+				// keep track of it so that the cluster can end it
+				this.drainingNodes.add(node);
+
+				node.once('end', () => {
+					this.drainingNodes.delete(node);
+					resolve();
+				});
+
+
+				if (options.drain === false) node.end();
+				else {
+					node.drain(options.timeout !== undefined ? options.timeout : this.drainTimeout);
+
+					for (let connection of idleConnections) connection.kill();
+				}
+			});
+		}
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * handles incoming idle connections. if requests are waiting
+	 * the connection serves the next of them, unless the load
+	 * balancer of its pool selects another node. otherwise it's 
+	 * added to the pools where the load balancer of each pool 
+	 * decides when it's handed out.
+	 *
+	 * @param {connection} the connection that has become idle
+	 */
+	handleIdleConnection(node, connection) {
+		log.debug('Got idle DB connection for pools «'+node.compositeName+'»');
+
+		// the connection may have ended in the meantime
+		if (connection.ended || connection.killed) return;
+
+		// connections of nodes that are beeing removed are closed
+		// as soon as they have finished their work
+		if (node.draining) return connection.kill();
+
+		// old connections are replaced by the node, queued 
+		// requests get the replacement or the next idle connection
+		if (node.shouldRetire(connection)) return node.retireConnection(connection);
+
+		// the limit of the node was lowered, the connections above
+		// it are closed when they are returned, even under load
+		if (node.count > node.maxConnections) return connection.kill();
+
+		if (!this.serveQueuedRequest(node, connection)) {
+			log.debug(`No queries waiting for a connection of the node, adding to pool`);
+
+			// the node does not keep that many idle connections
+			if (!node.acceptsIdleConnection()) return connection.kill();
+
+			// add the connection to the pools
+			for (let poolName of node.pools) this.pools.get(poolName).push(connection.id, connection);
+
+			node.markIdle(connection);
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * serves the next queued request the node can take with
+	 * a connection that has become idle. if the load balancer
+	 * of the pool selects another node, that node serves the
+	 * request with an idle connection or as soon as one of 
+	 * its connections is returned
+	 *
+	 * @param {node} node the db node
+	 * @param {connection} connection the idle connection, it is
+	 *					   not part of the pools
+	 *
+	 * @returns {boolean} true if the connection was used
+	 */
+	serveQueuedRequest(node, connection) {
+		let queue = this.queues.get(node.compositeName);
+		let request = queue && queue.length ? queue.peek(r => this.acceptsRequest(node, r)) : null;
+
+		if (!request) return false;
+
+		let candidates = Array.from(this.nodes).filter((candidate) => {
+			return candidate !== node && candidate.pools.includes(request.pool) && candidate.count > 0 && candidate.state !== 'down' 
+				&& !candidate.draining && !candidate.ended && !candidate.circuitOpen && this.acceptsRequest(candidate, request);
+		});
+
+		let target = this.pools.get(request.pool).balancer.selectQueuedNode(node, candidates, n => n.count - n.availableCount);
+
+		if (target !== node) {
+			log.debug(`The node «${target.config.host}» has less load, it serves the queued request`);
+
+			let idleConnection = target.idleSince.keys().next().value;
+
+			if (idleConnection) {
+				this.removeFromPools(target, idleConnection);
+				this.executeRequest(request, idleConnection);
+			}
+
+			return false;
+		}
+		else {
+			log.debug(`Got queries waiting for a connection in the queue, executing it`);
+
+			this.executeRequest(request, connection);
+
+			return true;
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * checks if a node may serve a queued request. lagging nodes 
+	 * only get requests for pools without an up to date node,
+	 * requests with a consistency token only nodes that have seen
+	 * the write
+	 *
+	 * @param {node} node the db node
+	 * @param {ConnectionRequest} request
+	 *
+	 * @returns {boolean}
+	 */
+	acceptsRequest(node, request) {
+		return (!node.lagging || !this.hasFreshNode(request.pool)) && (!request.nodeFilter || request.nodeFilter(node));
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * hands a connection to a queued request
+	 *
+	 * @param {ConnectionRequest} request
+	 * @param {connection} connection
+	 */
+	executeRequest(request, connection) {
+
+		// lets now check the other compatible queues for 
+		// the same connection request, remove it there
+		this.removeFromQueue(request);
+
+		this.waitTimeHistogram.observe(Date.now() - request.created);
+
+		// return to the caller
+		request.execute(connection);
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * lets the idle connections of a pool serve its queued 
+	 * requests, used if the load balancer has kept connections
+	 * idle for other nodes
+	 *
+	 * @param {string} poolName the name of the pool
+	 */
+	serveIdleConnections(poolName) {
+		let pool = this.pools.get(poolName);
+
+		for (let connection of Array.from(pool)) {
+			let node = this.connectionNodes.get(connection);
+
+			if (!this.queuedRequests.has(poolName)) break;
+			else if (node && pool.has(connection.id)) {
+				this.removeFromPools(node, connection);
+				this.handleIdleConnection(node, connection);
+			}
+		}
+	}
+
+
+
+
+
+	removeFromQueue(request) {
+		let requests = this.queuedRequests.get(request.pool);
+
+		if (requests && requests.delete(request.id)) {
+			if (!requests.size) this.queuedRequests.delete(request.pool);
+
+			this.checkWatermarks(request.pool);
+		}
+
+		let queues = this.queueMap.get(request.pool);
+
+		// the last queue for the pool may already be gone
+		if (!queues) return;
+
+		for (let q of queues) {
+			if (q.has(request.id)) q.remove(request.id);
+		}
+
+		this.updateDemand(request.pool);
+	}
+
+
+
+
+	addtoQueue(poolName, request) {
+
+		// add to all relevant queues
+		for (let queue of this.queueMap.get(poolName)) {
+			queue.push(request.id, request);
+		}
+
+		if (!this.queuedRequests.has(poolName)) this.queuedRequests.set(poolName, new Set());
+		this.queuedRequests.get(poolName).add(request.id);
+
+		this.updateDemand(poolName);
+		this.checkWatermarks(poolName);
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * returns the number of requests waiting for a connection
+	 * of a pool
+	 *
+	 * @param {string} poolName the name of the pool
+	 *
+	 * @returns {number}
+	 */
+	getQueueLength(poolName) {
+		return this.queuedRequests.has(poolName) ? this.queuedRequests.get(poolName).size : 0;
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * returns the number of requests that may wait for a 
+	 * connection of a pool
+	 *
+	 * @param {string} poolName the name of the pool
+	 *
+	 * @returns {number}
+	 */
+	getMaxQueueLength(poolName) {
+		let limits = this.poolLimits[poolName];
+
+		return limits && limits.maxQueueLength !== undefined ? limits.maxQueueLength : this.maxQueueLength;
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * returns the time in seconds a request for a pool may 
+	 * wait for a connection
+	 *
+	 * @param {string} poolName the name of the pool
+	 *
+	 * @returns {number}
+	 */
+	getTTL(poolName) {
+		let limits = this.poolLimits[poolName];
+
+		return limits && limits.ttl !== undefined ? limits.ttl : this.ttl;
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * checks if the queued requests of a pool have reached the
+	 * high watermark. the pool stays overloaded until they have
+	 * fallen to the low watermark. callers may use this to reject
+	 * work before it is queued
+	 *
+	 * @param {string} poolName the name of the pool
+	 *
+	 * @returns {boolean}
+	 */
+	isOverloaded(poolName) {
+		return this.overloadedPools.has(poolName);
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * emits the queueHigh and queueLow events when the queued
+	 * requests of a pool cross the watermarks
+	 *
+	 * @param {string} poolName the name of the pool
+	 */
+	checkWatermarks(poolName) {
+		let length = this.getQueueLength(poolName);
+		let maxQueueLength = this.getMaxQueueLength(poolName);
+
+		if (!this.overloadedPools.has(poolName) && length > 0 && length >= maxQueueLength*this.queueWatermarks.high) {
+			log.warn(`The pool «${poolName}» is overloaded, ${length} of ${maxQueueLength} requests are queued`);
+
+			this.overloadedPools.add(poolName);
+			this.emit('queueHigh', {pool: poolName, length: length, maxQueueLength: maxQueueLength});
+		}
+		else if (this.overloadedPools.has(poolName) && length <= maxQueueLength*this.queueWatermarks.low) {
+			log.info(`The pool «${poolName}» has recovered, ${length} of ${maxQueueLength} requests are queued`);
+
+			this.overloadedPools.delete(poolName);
+			this.emit('queueLow', {pool: poolName, length: length, maxQueueLength: maxQueueLength});
+		}
+	}
+
+
+
+
+	/**
+	 * tells the nodes serving a pool how many requests are waiting
+	 * for them so they can create connections as needed. the 
+	 * requests of a queue are split between its nodes, lagging
+	 * nodes don't get any if there are up to date nodes
+	 *
+	 * @param {string} poolName the name of the pool
+	 */
+	updateDemand(poolName) {
+		for (let node of this.nodes) {
+			if (node.pools.includes(poolName)) {
+				let queue = this.queues.get(node.compositeName);
+
+				if (!queue || (node.lagging && this.hasFreshNode(poolName))) node.setDemand(0);
+				else node.setDemand(Math.ceil(queue.length/queue.nodeCount));
+			}
+		}
+	}
+
+
+
+
+
+	/**
+	 * request a connection from a specific pool
+	 *
+	 * @param {string} poolName the name of the pool
+	 * 				   the connection must be from
+	 * @param {object} options
+	 * @param {number} options.priority requests with a higher priority
+	 *				   are served first if they have to be queued, 
+	 *				   defaults to 0
+	 * @param {number} options.timeout ms the request may wait for a
+	 *				   connection, defaults to the ttl of the cluster
+	 * @param {AbortSignal} options.signal cancels the request
+	 * @param {object} options.consistencyToken only nodes that have 
+	 *				   seen the write of the token are used. if none 
+	 *				   of them serves the pool the write pool is used
+	 * @param {Set} options.avoidNodes nodes that are only used if no
+	 *				   other node serves the pool
+	 *
+	 * @returns {Promise} 
+	 */
+	getDBConnection(poolName, options) {
+		options = options || {};
+
+		log.debug(`Got a connection request for the pool «${poolName}»`);
+
+		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot get connection!'));
+		else if (options.priority !== undefined && !Number.isFinite(options.priority)) return Promise.reject(new Error(`The priority of a connection request must be a number, got «${options.priority}»!`));
+		else if (options.timeout !== undefined && !(options.timeout >= 0)) return Promise.reject(new Error(`The timeout of a connection request must be a positive number, got «${options.timeout}»!`));
+		else if (options.signal && options.signal.aborted) return Promise.reject(new Error('The connection request was aborted!'));
+		else if (options.consistencyToken && poolName !== this.writePool && !this.hasCaughtUpNode(poolName, options.consistencyToken) && this.hasAvailableNode(this.writePool)) {
+			log.debug(`No node serving the pool «${poolName}» has caught up with the consistency token, using the pool «${this.writePool}»`);
+
+			return this.getDBConnection(this.writePool, Object.assign({}, options, {consistencyToken: null}));
+		}
+		else {
+			let token = poolName !== this.writePool ? options.consistencyToken : null;
+			let nodeFilter = token ? (node => this.hasReachedToken(node, token)) : null;
+
+			// prefer other nodes, for example for retries
+			if (options.avoidNodes && options.avoidNodes.size) {
+				let requiredFilter = nodeFilter;
+				let preferredFilter = node => !options.avoidNodes.has(node) && (!requiredFilter || requiredFilter(node));
+
+				if (this.hasAvailableNode(poolName, preferredFilter)) nodeFilter = preferredFilter;
+			}
+
+			let pool = this.pools.get(poolName);
+
+			// the load balancer may keep connections idle while requests
+			// are queued, the new request waits its turn
+			if (pool && pool.length && pool.balancer.balancesQueue && this.queuedRequests.has(poolName)) {
+				let requesting = this.enqueueRequest(poolName, options, nodeFilter);
+
+				this.serveIdleConnections(poolName);
+
+				return requesting;
+			}
+
+			let connection = pool && pool.length ? this.takeIdleConnection(poolName, nodeFilter) : undefined;
+
+			if (connection) {
+				log.debug(`Got a connection from the pool «${poolName}», returning to user`);
+
+				this.waitTimeHistogram.observe(0);
+
+				return Promise.resolve(connection);
+			}
+			else return this.enqueueRequest(poolName, options, nodeFilter);
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * queues a request for a connection of a pool
+	 *
+	 * @param {string} poolName the name of the pool
+	 * @param {object} options see getDBConnection
+	 * @param {function} nodeFilter optional, returns false for
+	 *					 nodes that must not serve the request
+	 *
+	 * @returns {Promise}
+	 */
+	enqueueRequest(poolName, options, nodeFilter) {
+		if (!this.queueMap.has(poolName) || !this.queueMap.get(poolName).size) {
+			log.debug(`The cluster doesnt serve the requested pool «${poolName}»!`);
+
+			return Promise.reject(new Error('Cannot get connection, no host is serving the pool «'+poolName+'»!'));
+		} else if (!this.hasAvailableNode(poolName)) {
+			log.debug(`All nodes serving the pool «${poolName}» have an open circuit breaker, cannot get connection!`);
+
+			return Promise.reject(new Error(`All nodes serving the pool «${poolName}» are unavailable, request rejected!`));
+		} else if (this.getQueueLength(poolName) >= this.getMaxQueueLength(poolName)) {
+			log.debug(`The queue of the pool «${poolName}» is full, cannot get connection!`);
+
+			return Promise.reject(new Error(`The connection queue of the pool «${poolName}» is overflowing, request rejected!`));
+		} else {
+			log.debug(`No connection available in the pool «${poolName}», adding to queue`);
+
+			return new Promise((resolve, reject) => {
+
+				// create a new connection request
+				let request = new ConnectionRequest(poolName, resolve, reject, options.priority);
+
+				if (nodeFilter) request.nodeFilter = nodeFilter;
+
+				// the request is canceled precisely at its deadline
+				request.setDeadline(options.timeout !== undefined ? options.timeout : this.getTTL(poolName)*1000, () => {
+					this.expireRequest(request);
+				});
+
+				// the caller may give up before
+				if (options.signal) {
+					request.setSignal(options.signal, () => {
+						this.cancelRequest(request, new Error('The connection request was aborted!'));
+					});
+				}
+
+				this.addtoQueue(poolName, request);
+			});
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * takes the idle connection selected by the load balancer
+	 * of a pool and removes it from all pools. lagging nodes 
+	 * are skipped if there are up to date nodes for the pool
+	 *
+	 * @param {string} poolName the name of the pool
+	 * @param {function} nodeFilter optional, returns false for
+	 *					 nodes that must not be used
+	 *
+	 * @returns {connection|undefined}
+	 */
+	takeIdleConnection(poolName, nodeFilter) {
+		let pool = this.pools.get(poolName);
+		let skipLagging = this.hasLaggingNode(poolName) && this.hasFreshNode(poolName);
+		let accept = skipLagging || nodeFilter ? (node => (!skipLagging || !node.lagging) && (!nodeFilter || nodeFilter(node))) : undefined;
+		let connection = pool.balancer.select(pool, c => this.connectionNodes.get(c), accept);
+
+		if (connection) this.removeFromPools(this.connectionNodes.get(connection), connection);
+
+		return connection;
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * removes a connection from all pools of its node
+	 *
+	 * @param {node} node the db node
+	 * @param {connection} connection
+	 */
+	removeFromPools(node, connection) {
+		for (let poolName of node.pools) {
+			let pool = this.pools.get(poolName);
+			if (pool && pool.has(connection.id)) pool.remove(connection.id);
+		}
+
+		node.markBusy(connection);
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * checks if a node serving the pool is lagging behind
+	 *
+	 * @param {string} poolName the name of the pool
+	 *
+	 * @returns {boolean}
+	 */
+	hasLaggingNode(poolName) {
+		for (let node of this.nodes) {
+			if (node.lagging && node.pools.includes(poolName)) return true;
+		}
+
+		return false;
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * checks if there is an available node serving the pool
+	 * that is not lagging behind
+	 *
+	 * @param {string} poolName the name of the pool
+	 *
+	 * @returns {boolean}
+	 */
+	hasFreshNode(poolName) {
+		for (let node of this.nodes) {
+			if (!node.lagging && !node.circuitOpen && node.pools.includes(poolName)) return true;
+		}
+
+		return false;
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * returns a connection form the given pool, does 
+	 * remove it from the pool itself, it cannot be reused
+	 * and must be ended after it was used
+	 *
+	 * @param {string} poolName the name of the pool
+	 * 				   the connection must be from
+	 * @param {object} options see getDBConnection
+	 *
+	 * @returns {Promise} 
+	 */
+	getConnection(poolName, options) {
+		return this.getDBConnection(poolName, options).then((connection) => {
+			log.debug(`Got a connection from the pool «${poolName}», removing from the pool, returning to user`);
+
+			connection.removeFromPool();
+
+			return Promise.resolve(connection);
+		});
+	}
+
+
+
+
+
+
+
+
+	/**
+	 * executes the callback in a transaction on a connection of
+	 * a pool. the transaction is committed after the callback has
+	 * finished and rolled back if it fails. if it fails because of
+	 * a serialization failure or a deadlock, the callback is 
+	 * executed again in a new transaction
+	 *
+	 * @param {string} poolName the name of the pool
+	 * @param {function} callback gets the transaction, may return
+	 *					 a promise
+	 * @param {object} options
+	 * @param {string} options.isolation the isolation level
+	 * @param {boolean} options.readOnly start a read only transaction
+	 * @param {number} options.retries how many times the transaction
+	 *				   is retried, defaults to 3
+	 * @param {object} options.backoff the delays between the retries,
+	 *				   see Backoff
+	 * @param {number} options.priority see getDBConnection
+	 * @param {number} options.timeout see getDBConnection
+	 * @param {AbortSignal} options.signal see getDBConnection
+	 *
+	 * @returns {Promise} resolves to the return value of the callback
+	 */
+	transaction(poolName, callback, options) {
+		options = options || {};
+
+		let retries = options.retries === undefined ? 3 : options.retries;
+		let backoff;
+
+		if (typeof callback !== 'function') return Promise.reject(new Error('The transaction callback must be a function!'));
+		else if (options.isolation !== undefined && !Transaction.isolationLevels.includes(options.isolation)) return Promise.reject(new Error(`Invalid isolation level «${options.isolation}», expected one of ${Transaction.isolationLevels.join(', ')}!`));
+		else if (!Number.isInteger(retries) || retries < 0) return Promise.reject(new Error(`The retries of a transaction must be a positive integer, got «${retries}»!`));
+
+		try {
+			backoff = new Backoff(options.backoff || {initialDelay: 10, maxDelay: 1000, factor: 2, jitter: 0.5});
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		let attempt = (work) => {
+			work.queued = true;
+
+			return this.getConnection(poolName, {
+				  priority 	: options.priority
+				, timeout 	: options.timeout
+				, signal 	: options.signal
+			}).then((connection) => {
+				let transaction = new Transaction(this, connection);
+
+				work.queued = false;
+
+				return transaction.begin(options).then(() => {
+					return callback(transaction);
+				}).then((result) => {
+					return transaction.commit().then(() => {
+						if (this.cache) {
+							for (let queryContext of transaction.queries) this.cache.invalidateQuery(queryContext);
+						}
+
+						return result;
+					});
+				}).catch((err) => {
+
+					// failed commits are rolled back by the server
+					let rollback = transaction.ended || connection.ended ? Promise.resolve() : transaction.rollback().catch((rollbackErr) => {
+						log.debug(`Failed to roll back the transaction: ${rollbackErr.message}`);
+					});
+
+					return rollback.then(() => Promise.reject(err));
+				}).then((result) => {
+
+					// the connection was taken out of the pools, the 
+					// node replaces it
+					connection.end();
+
+					return result;
+				}).catch((err) => {
+					connection.end();
+
+					return Promise.reject(err);
+				});
+			}).catch((err) => {
+				if (retries > 0 && Transaction.isRetryable(err) && !this.ended) {
+					retries--;
+
+					let delay = backoff.next();
+
+					log.debug(`The transaction failed with a retryable error, retrying in ${delay} ms: ${err.message}`);
+
+					return new Promise(resolve => setTimeout(resolve, delay)).then(() => attempt(work));
+				}
+				else return Promise.reject(err);
+			});
+		};
+
+		return this.trackWork('transactions', attempt);
+	}
+
+
+
+
+
+
+
+
+	queryExecutedCounter() {
+		if (this.executedQueryCounter >= Number.MAX_SAFE_INTEGER) {
+			this.executedQueryCounter = 0;
+		}
+
+		this.executedQueryCounter++;
+	}
+
+
+
+	/**
+	 * executes a query on the next available db connection.
+	 * the priority property of the query context is used if 
+	 * the request has to be queued.
+	 *
+	 * after writes the consistency token is set on the query 
+	 * context. passed to reads it makes sure that they see the
+	 * write, see getDBConnection.
+	 *
+	 * queries sent to the read pools or marked as idempotent
+	 * (queryContext.idempotent) are retried on another node if 
+	 * they fail because of a connectivity problem. the retry 
+	 * policy of the cluster can be overwritten using the retry
+	 * property of the query context, see createRetryPolicy.
+	 *
+	 * if the cluster has a result cache, read queries with the
+	 * cache property (true, the ttl or {ttl, tables}) are answered
+	 * from it. queries on the write pool invalidate the cached
+	 * results of the tables they touch. reads with a consistency 
+	 * token bypass the cache.
+	 *
+	 * @param {object} query the query definition
+	 * @param {object} options
+	 * @param {number} options.timeout ms to wait for a connection
+	 * @param {AbortSignal} options.signal cancels the wait for a connection
+	 * @param {boolean} options.trackConsistency set the consistency token
+	 *				   after the query, defaults to true for writes on 
+	 *				   the write pool if consistency is enabled on the
+	 *				   cluster
+	 * @param {object} options.consistencyToken the token of a write the
+	 *				   query must see
+	 * @param {boolean} options.cache false bypasses the result cache
+	 * @param {object} options.middlewareContext used by the cache, the
+	 *				   hooks of the middleware were called already
+	 *
+	 * @returns {Promise}
+	 */
+	query(queryContext, options) {
+		options = options || {};
+
+
+		// first lets check the users input
+		if (typeof queryContext !== 'object' || queryContext ===  null) return Promise.reject(new Error('Expected a query context object!'));
+		else if (typeof queryContext.pool !== 'string') return Promise.reject(new Error('Missing the pool property on the query context!'));
+		else {
+
+			log.debug(`Got a query request for the pool «${queryContext.pool}»`);
+
+			// adding new ast support!
+			if (!queryContext.isReady() && queryContext.ast) {
+				log.debug(`The query is not ready, but has an AST, compiling it`);
+
+				return this.compiler.compile(queryContext).then(() => {
+					log.debug(`The AST query is now ready, executing it`);
+
+					queryContext.sql += ';';
+					return this.query(queryContext, options);
+				});
+			}
+
+			// reads that must see a write of their session bypass the
+			// cache, it may have been filled by a lagging replica
+			else if (this.cache && queryContext.cache && options.cache !== false && !options.consistencyToken && queryContext.isReady() && queryContext.pool !== this.writePool) {
+
+				// the middleware sees the cached queries too, there 
+				// is no node before the cache was looked up
+				let context = {queryContext: queryContext, pool: queryContext.pool, node: null, attempt: 0, start: Date.now(), duration: null, waitTime: 0, cached: false};
+
+				return this.runBeforeQuery(context).then((result) => {
+					if (result !== undefined) {
+						log.debug(`The query was answered by a middleware`);
+
+						return result;
+					}
+
+					// remember the versions of the tables before the 
+					// query is executed, writes in between invalidate
+					// the result. the hooks may have changed the query
+					let versions = this.cache.getVersions(queryContext);
+
+					return this.cache.get(queryContext).then((data) => {
+						if (data !== undefined) {
+							log.debug(`Got the result of the query from the cache`);
+
+							context.cached = true;
+
+							return data;
+						}
+						else {
+							return this.query(queryContext, Object.assign({}, options, {cache: false, middlewareContext: context})).then((data) => {
+								return this.cache.set(queryContext, data, versions).then(() => data);
+							});
+						}
+					});
+				}).then((data) => {
+					return this.runAfterQuery(context, data);
+				}).catch((err) => {
+					return this.runOnError(context, err);
+				});
+			}
+			else {
+				let trackConsistency = options.trackConsistency !== undefined ? options.trackConsistency : !!this.consistency && queryContext.pool === this.writePool && !ResultCache.isReadOnly(queryContext);
+
+				// the cache calls the hooks of the middleware itself
+				let hooks = !options.middlewareContext;
+				let context = options.middlewareContext || {queryContext: queryContext, pool: queryContext.pool, node: null, attempt: 0, start: Date.now(), duration: null};
+				let triedNodes = new Set();
+				let attempts = 0;
+				let policy;
+				let backoff;
+				let node;
+
+				try {
+					policy = this.getRetryPolicy(queryContext);
+					if (policy) backoff = new Backoff(policy.backoff);
+				} catch (err) {
+					return Promise.reject(err);
+				}
+
+				let attempt = (work) => {
+					let requested = Date.now();
+
+					attempts++;
+					node = null;
+					work.queued = true;
+
+					// the oldschool way to do things
+					return this.getDBConnection(queryContext.pool, {
+						  priority 			: queryContext.priority
+						, timeout 			: options.timeout
+						, signal 			: options.signal
+						, consistencyToken 	: options.consistencyToken
+						, avoidNodes 		: triedNodes
+					}).then((connection) => {
+						log.debug(`Got a connection from the pool «${queryContext.pool}», executing query`);
+
+						work.queued = false;
+						node = this.connectionNodes.get(connection);
+						if (node) triedNodes.add(node);
+
+						context.node = node ? this.describeNode(node) : null;
+						context.attempt = attempts;
+						context.waitTime = Date.now() - requested;
+
+						let executing = false;
+						let rendering;
+
+						// nice, we got a connection, let us check if we 
+						// may have to render anything
+						if (queryContext.isReady()) {
+							log.debug(`The query is ready, executing it`);
+
+							rendering = Promise.resolve();
+						}
+						else {
+							log.debug(`The query is not ready, rendering it`);
+							
+							// let the querybuilder create sql
+							rendering = new this.QueryBuilderConstructor(connection).render(queryContext);
+						}
+
+						return rendering.then(() => {
+							return hooks ? this.runBeforeQuery(context) : undefined;
+						}).then((result) => {
+							if (result !== undefined) {
+								log.debug(`The query was answered by a middleware`);
+
+								// the connection was not used
+								this.handleIdleConnection(node, connection);
+
+								return result;
+							}
+							else {
+								executing = true;
+
+								// execute query
+								return this.executeQuery(connection, queryContext, context.waitTime);
+							}
+						}).catch((err) => {
+
+							// give the connection back if it was not used
+							if (!executing) this.handleIdleConnection(node, connection);
+
+							return Promise.reject(err);
+						});
+					}).catch((err) => {
+						if (policy && attempts < policy.attempts && policy.isRetryable(err) && !this.ended && !(options.signal && options.signal.aborted)) {
+							let delay = backoff.next();
+
+							log.debug(`The query failed on attempt ${attempts}, retrying in ${delay} ms: ${err.message}`);
+
+							this.emit('queryRetry', {
+								  pool 		: queryContext.pool
+								, host 		: node ? node.config.host : null
+								, attempt 	: attempts
+								, delay 	: delay
+								, error 	: err
+							});
+
+							return new Promise(resolve => setTimeout(resolve, delay)).then(() => attempt(work));
+						}
+						else return Promise.reject(err);
+					});
+				};
+
+				return this.trackWork('queries', work => attempt(work).then((data) => {
+					if (this.cache && queryContext.pool === this.writePool) this.cache.invalidateQuery(queryContext);
+
+					return data;
+				}).then((data) => {
+					if (!trackConsistency || !node) return data;
+					else {
+						return this.createConsistencyToken(node).then((token) => {
+							queryContext.consistencyToken = token;
+							return data;
+						});
+					}
+				}).then((data) => {
+					return hooks ? this.runAfterQuery(context, data) : data;
+				}).catch((err) => {
+					return hooks ? this.runOnError(context, err) : Promise.reject(err);
+				}));
+			}
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * adds a middleware to the queries executed using query().
+	 * the hooks are called in the order the middleware was added,
+	 * they may return promises. each hook gets a context with the 
+	 * queryContext, the pool, the chosen node (see describeNode), 
+	 * the attempt, the start timestamp and the duration in ms.
+	 *
+	 * - beforeQuery(context): called after the connection was 
+	 *   acquired and the query was rendered. it may change the 
+	 *   sql of the query context. if it returns a value, the 
+	 *   query is not executed and the value is its result
+	 * - afterQuery(context, result): if it returns a value, it
+	 *   replaces the result
+	 * - onError(err, context): may throw another error or return 
+	 *   a result instead of the error. it is also called for errors
+	 *   thrown by the afterQuery hooks
+	 *
+	 * for queries using the result cache the beforeQuery hooks are
+	 * called before the cache is looked up, the context has no node
+	 * then. the cache key is built from the query as changed by the
+	 * hooks. the afterQuery hooks are called for cached results too,
+	 * context.cached is true for them.
+	 *
+	 * @param {object} middleware with at least one of the hooks
+	 *
+	 * @returns {Cluster}
+	 */
+	use(middleware) {
+		let hooks = ['beforeQuery', 'afterQuery', 'onError'];
+
+		if (typeof middleware !== 'object' || middleware === null) throw new Error('The middleware must be an object!');
+		else if (!hooks.some(hook => typeof middleware[hook] === 'function')) throw new Error(`The middleware must implement at least one of the ${hooks.join(', ')} hooks!`);
+
+		for (let hook of hooks) {
+			if (middleware[hook] !== undefined && typeof middleware[hook] !== 'function') throw new Error(`The ${hook} hook of the middleware must be a function!`);
+		}
+
+		this.middleware.push(middleware);
+
+		return this;
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * calls the beforeQuery hooks until one of them returns
+	 * a result
+	 *
+	 * @param {object} context see use()
+	 *
+	 * @returns {Promise} resolves to the result or undefined
+	 */
+	runBeforeQuery(context) {
+		return this.middleware.reduce((promise, middleware) => {
+			return promise.then((result) => {
+				if (result !== undefined || !middleware.beforeQuery) return result;
+				else return middleware.beforeQuery(context);
+			});
+		}, Promise.resolve());
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * calls the afterQuery hooks, they may replace the result
+	 *
+	 * @param {object} context see use()
+	 * @param {*} data the result of the query
+	 *
+	 * @returns {Promise} resolves to the result
+	 */
+	runAfterQuery(context, data) {
+		context.duration = Date.now() - context.start;
+
+		return this.middleware.reduce((promise, middleware) => {
+			return promise.then((data) => {
+				if (!middleware.afterQuery) return data;
+				else {
+					return Promise.resolve(middleware.afterQuery(context, data)).then((result) => {
+						return result === undefined ? data : result;
+					});
+				}
+			});
+		}, Promise.resolve(data));
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * calls the onError hooks until one of them returns a
+	 * result. errors thrown by the hooks replace the error
+	 *
+	 * @param {object} context see use()
+	 * @param {Error} err the error of the query
+	 *
+	 * @returns {Promise} rejects with the error or resolves to
+	 *					  the result returned by a hook
+	 */
+	runOnError(context, err) {
+		context.duration = Date.now() - context.start;
+
+		return this.middleware.reduce((promise, middleware) => {
+			return promise.catch((err) => {
+				if (!middleware.onError) return Promise.reject(err);
+				else {
+					return Promise.resolve().then(() => middleware.onError(err, context)).then((result) => {
+						return result === undefined ? Promise.reject(err) : result;
+					});
+				}
+			});
+		}, Promise.reject(err));
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	 * creates a retry policy for queries
+	 *
+	 * @param {object} options
+	 * @param {number} options.attempts how many times a query is 
+	 *				   executed at most, defaults to 1
+	 * @param {array|function} options.errors the error classes that
+	 *				   can be retried or a function that checks an 
+	 *				   error, defaults to Cluster.isConnectivityError
+	 * @param {array} options.readPools the pools whose queries can
+	 *				   be retried even if they are not marked as
+	 *				   idempotent, defaults to ['read']
+	 * @param {object} options.backoff the delays between the attempts,
+	 *				   see Backoff
+	 * @param {object} defaults optional, the policy the options
+	 *				   overwrite
+	 *
+	 * @returns {object} policy
+	 */
+	createRetryPolicy(options, defaults) {
+		let policy = Object.assign({
+			  attempts 	: 1
+			, errors 	: Cluster.isConnectivityError
+			, readPools : ['read']
+			, backoff 	: {initialDelay: 10, maxDelay: 1000, factor: 2, jitter: 0.5}
+		}, defaults, options);
+
+		if (!Number.isInteger(policy.attempts) || policy.attempts < 1) throw new Error(`The attempts of the retry policy must be a positive integer, got «${policy.attempts}»!`);
+		if (!Array.isArray(policy.readPools)) throw new Error('The readPools of the retry policy must be an array!');
+		if (typeof policy.errors !== 'function' && !(Array.isArray(policy.errors) && policy.errors.every(ErrorClass => typeof ErrorClass === 'function'))) {
+			throw new Error('The errors of the retry policy must be an array of error classes or a function!');
+		}
+
+		// validate early
+		new Backoff(policy.backoff);
+
+		let errors = policy.errors;
+
+		policy.isRetryable = (err) => {
+			if (typeof errors === 'function') return !!errors(err);
+			else return errors.some(ErrorClass => err instanceof ErrorClass);
+		};
+
+		return policy;
+	}
+
+
+
 
 
 
@@ -385,79 +3053,75 @@ module.exports = class Cluster extends Events {
 
 
 	/**
-	 * adds a new node to the cluster
+	 * returns the retry policy for a query. queries that are not
+	 * idempotent are never retried, queries of the read pools 
+	 * are idempotent unless they are marked otherwise
 	 *
-	 * @param {object} configuration the node configuration
+	 * @param {object} queryContext
+	 *
+	 * @returns {object|null} policy, null if the query must not 
+	 *					  be retried
 	 */
-	addNode(configuration) {
-		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot add a new node!'));
-		else {
-			return new Promise((resolve, reject) => {
-				// create node instance, set some sane defaults 
-				// (this should work for most CIs)
-				let node = new Node({
-					  host 					: configuration.host || 'localhost'
-					, username  			: configuration.username || configuration.user
-					, password  			: configuration.password || configuration.pass || ''
-					, port 					: configuration.port
-					, maxConnections 		: configuration.maxConnections || configuration.max || 100
-					, pools 				: (configuration.pools || (configuration.pool ? [configuration.pool] : ['read', 'write'])).sort()
-					, ConnectionConstructor : this.ConnectionConstructor
-					, database 				: configuration.database || configuration.db || null
-				});
+	getRetryPolicy(queryContext) {
+		let policy = this.retry;
 
+		if (queryContext.retry === false) return null;
+		else if (typeof queryContext.retry === 'number') policy = this.createRetryPolicy({attempts: queryContext.retry}, this.retry);
+		else if (typeof queryContext.retry === 'object' && queryContext.retry !== null) policy = this.createRetryPolicy(queryContext.retry, this.retry);
 
+		let idempotent = queryContext.idempotent !== undefined ? !!queryContext.idempotent : policy.readPools.includes(queryContext.pool);
 
+		return idempotent && policy.attempts > 1 ? policy : null;
+	}
 
-				// set up a connection pool for the node
-				this.setUpPool(node);
 
-				// set up a queue for the node
-				this.setUpQueue(node);
 
 
 
 
 
-				// store the node so it can be accessed later
-				this.nodes.add(node);					
 
-				// if the node ends we need to handle that
-				node.once('end', () => {
-					this.nodes.delete(node);
-				});
+
+	/**
+	 * invalidates the cached results that depend on tables
+	 *
+	 * @param {array} tables the names of the tables, all results
+	 *				  are invalidated if it is empty
+	 */
+	invalidateCache(tables) {
+		if (this.cache) this.cache.invalidate(tables || []);
+	}
 
 
 
 
-				// more importantly, if a node emits a connection it should be used for the
-				// next connection request in the queue or added to the pool
-				node.on('connection', (connection) => {
 
 
-					// the connection may already be idle at this point
-					if (connection.idle) this.handleIdleConnection(node, connection);
 
 
-					// add the connection to the pools as soon its getting idle
-					connection.on('idle', () => {
-						this.handleIdleConnection(node, connection);
-					});
-					
 
-					// remove the connection from the pools as soon as
-					// it ends
-					connection.once('end', () => {
-						for (let poolName of node.pools) {
-							let p = this.pools.get(poolName);
-							if (p.has(connection.id)) p.remove(connection.id);
-						}
-					});
-				});
-				
+	/**
+	 * creates a token describing the state of a node after a
+	 * write. it contains the position in the replication log 
+	 * if the driver supports it and a timestamp. replicas reach
+	 * a token without position only if they poll their
+	 * replication lag, see hasReachedToken
+	 *
+	 * @param {node} node the db node the write was executed on
+	 *
+	 * @returns {Promise} resolves to the token, never rejects
+	 */
+	createConsistencyToken(node) {
+		let timestamp = Date.now();
 
+		if (!this.dialect || !this.dialect.position) return Promise.resolve({timestamp: timestamp});
+		else {
+			return node.runMaintenanceQuery('position').then((position) => {
+				return {position: position, timestamp: timestamp};
+			}).catch((err) => {
+				log.debug(`Failed to get the position of the node «${node.config.host}», using a timestamp: ${err.message}`);
 
-				node.once('load', resolve);
+				return {timestamp: timestamp};
 			});
 		}
 	}
@@ -469,104 +3133,114 @@ module.exports = class Cluster extends Events {
 
 
 
+
 	/**
-	 * handles incoming idle connections
+	 * checks if a node has seen the write of a consistency token.
+	 * nodes serving the write pool always have, replicas need a 
+	 * position or a replication lag that is recent enough. 
+	 * replicas without maxReplicationLag have neither for 
+	 * tokens without position, their reads use the write pool
 	 *
-	 * @param {connection} the connection that has become idle
+	 * @param {node} node the db node
+	 * @param {object} token the consistency token
+	 *
+	 * @returns {boolean}
 	 */
-	handleIdleConnection(node, connection) {
-		log.debug('Got idle DB connection for pools «'+node.compositeName+'»');
-
-		// checl if we got a connection request wiating for us
-		if (this.queues.has(node.compositeName) && this.queues.get(node.compositeName).length) {
-			log.debug(`Got queries waiting for a connection in the queue, executing it`);
+	hasReachedToken(node, token) {
+		if (node.pools.includes(this.writePool)) return true;
+		else if (token.position !== undefined && node.position !== null) return this.dialect.position.hasReached(node.position, token.position);
+		else if (node.replicationLag !== null) return node.replicationLagCheckedAt - node.replicationLag >= token.timestamp;
+		else return false;
+	}
 
-			// we got a connection request to execute
-			let request = this.queues.get(node.compositeName).shift();
 
-			// lets now check the other compatible queues for 
-			// the same connection request, remove it there
-			this.removeFromQueue(request);
 
-			// return to the caller
-			request.execute(connection);
-		}
-		else {
-			log.debug(`No queries waiting for a connection in the queue, adding to pool`);
 
-			// add the connection to the pools
-			for (let poolName of node.pools) this.pools.get(poolName).push(connection.id, connection);
-		}
-	}
 
 
 
 
 
-	removeFromQueue(request) {
-		let queues = this.queueMap.get(request.pool);					
-		for (let q of queues) {
-			if (q.has(request.id)) q.remove(request.id);
+	/**
+	 * checks if an available node serving a pool has seen 
+	 * the write of a consistency token
+	 *
+	 * @param {string} poolName the name of the pool
+	 * @param {object} token the consistency token
+	 *
+	 * @returns {boolean}
+	 */
+	hasCaughtUpNode(poolName, token) {
+		for (let node of this.nodes) {
+			if (!node.circuitOpen && node.pools.includes(poolName) && this.hasReachedToken(node, token)) return true;
 		}
+
+		return false;
 	}
 
 
 
 
-	addtoQueue(poolName, request) {
 
-		// add to all relevant queues
-		for (let queue of this.queueMap.get(poolName)) {
-			queue.push(request.id, request);
-		}
+
+
+
+
+	/**
+	 * creates a session. reads of the session see the writes 
+	 * executed before by the same session
+	 *
+	 * @returns {Session}
+	 */
+	createSession() {
+		return new Session(this);
 	}
 
 
 
 
 
+
+
+
+
 	/**
-	 * request a connection from a specific pool
+	 * executes a query on a connection, measures its duration
 	 *
-	 * @param {string} poolName the name of the pool
-	 * 				   the connection must be from
+	 * @param {object} connection the connection to execute the query on
+	 * @param {object} queryContext the query definition
+	 * @param {number} waitTime optional, ms the query waited for
+	 *				   the connection
 	 *
-	 * @returns {Promise} 
+	 * @returns {Promise}
 	 */
-	getDBConnection(poolName) {
-		log.debug(`Got a connection request for the pool «${poolName}»`);
+	executeQuery(connection, queryContext, waitTime) {
+		let start = Date.now();
+		let node = this.connectionNodes.get(connection);
 
-		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot get connection!'));
-		else if (this.pools.has(poolName) && this.pools.get(poolName).length) {
-			let connection = this.pools.get(poolName).shift();
+		this.queryExecutedCounter();
 
-			connection.pools.forEach((pn) => {
-				if (pn !== poolName) this.pools.get(pn).remove(connection.id);
-			});
+		// the query limit of the connection
+		if (node) node.countQuery(connection);
 
-			log.debug(`Got a connection from the pool «${poolName}», returning to user`);
+		return connection.query(queryContext).then((data) => {
+			let duration = Date.now() - start;
 
-			return Promise.resolve(connection);
-		}
-		else if (!this.queueMap.has(poolName) || !this.queueMap.get(poolName).size) {
-			log.debug(`The cluster doesnt serve the requested pool «${poolName}»!`);
+			this.queryDurationHistogram.observe(duration);
 
-			return Promise.reject(new Error('Cannot get connection, no host is serving the pool «'+poolName+'»!'));
-		} else if (this.queueLength >= this.maxQueueLength) {
-			log.debug(`The cluster queue is full, cannot get connection!`);
+			if (this.slowQueryLog && duration >= this.slowQueryLog.threshold) this.recordSlowQuery(connection, queryContext, duration, waitTime);
 
-			return Promise.reject(new Error('The connection queue is overflowing, request rejected!'));
-		} else {
-			log.debug(`No connection available in the pool «${poolName}», adding to queue`);
+			return data;
+		}).catch((err) => {
+			let duration = Date.now() - start;
 
-			return new Promise((resolve, reject) => {
+			this.queryDurationHistogram.observe(duration);
+			this.failedQueryCounter++;
 
-				// create a new connection request
-				let request = new ConnectionRequest(poolName, resolve, reject);
+			if (this.slowQueryLog && duration >= this.slowQueryLog.threshold) this.recordSlowQuery(connection, queryContext, duration, waitTime, err);
 
-				this.addtoQueue(poolName, request);
-			});
-		}
+			return Promise.reject(err);
+		});
 	}
 
 
@@ -578,22 +3252,43 @@ module.exports = class Cluster extends Events {
 
 
 	/**
-	 * returns a connection form the given pool, does 
-	 * remove it from the pool itself, it cannot be reused
-	 * and must be ended after it was used
-	 *
-	 * @param {string} poolName the name of the pool
-	 * 				   the connection must be from
+	 * records a slow query in the ring buffer and emits the
+	 * slowQuery event. if configured, the plan of the query 
+	 * is fetched on the same node first
 	 *
-	 * @returns {Promise} 
+	 * @param {object} connection the connection the query was executed on
+	 * @param {object} queryContext the query definition
+	 * @param {number} executionTime ms the query took
+	 * @param {number} waitTime ms the query waited for the connection
+	 * @param {Error} err optional, the error of the query
 	 */
-	getConnection(poolName) {
-		return this.getDBConnection(poolName).then((connection) => {
-			log.debug(`Got a connection from the pool «${poolName}», removing from the pool, returning to user`);
-
-			connection.removeFromPool();
+	recordSlowQuery(connection, queryContext, executionTime, waitTime, err) {
+		let node = this.connectionNodes.get(connection);
+		let explain = this.slowQueryLog.explain && node && !node.ended && this.dialect && this.dialect.explain && explainablePattern.test(queryContext.sql);
+		let record = {
+			  sql 			: queryContext.sql
+			, pool 			: queryContext.pool || null
+			, host 			: node ? node.config.host : null
+			, waitTime 		: waitTime === undefined ? null : waitTime
+			, executionTime : executionTime
+			, timestamp 	: Date.now()
+			, error 		: err ? err.message : null
+			, plan 			: null
+		};
+
+		log.debug(`The query took ${executionTime} ms on the node «${record.host}»: ${record.sql}`);
+
+		let explaining = !explain ? Promise.resolve() : node.runMaintenanceQuery('explain', queryContext.sql, queryContext.values).then((plan) => {
+			record.plan = plan;
+		}).catch((err) => {
+			log.debug(`Failed to explain the slow query: ${err.message}`);
+		});
 
-			return Promise.resolve(connection);
+		explaining.then(() => {
+			this.slowQueries.push(record);
+			this.emit('slowQuery', record);
+		}).catch((err) => {
+			log.warn(`A listener of the slowQuery event failed: ${err.message}`);
 		});
 	}
 
@@ -604,70 +3299,15 @@ module.exports = class Cluster extends Events {
 
 
 
-	queryExecutedCounter() {
-		if (this.executedQueryCounter >= Number.MAX_SAFE_INTEGER) {
-			this.executedQueryCounter = 0;
-		}
-
-		this.executedQueryCounter++;
-	}
-
-
 
 	/**
-	 * executes a query on the next available db connection
-	 *
-	 * @param {object} query the query definition
+	 * returns the recorded slow queries from the oldest to the
+	 * newest
 	 *
-	 * @returns {Promise}
+	 * @returns {array}
 	 */
-	query(queryContext) {
-
-		// first lets check the users input
-		if (typeof queryContext !== 'object' || queryContext ===  null) return Promise.reject(new Error('Expected a query context object!'));
-		else if (typeof queryContext.pool !== 'string') return Promise.reject(new Error('Missing the pool property on the query context!'));
-		else {
-
-			log.debug(`Got a query request for the pool «${queryContext.pool}»`);
-
-			// adding new ast support!
-			if (!queryContext.isReady() && queryContext.ast) {
-				log.debug(`The query is not ready, but has an AST, compiling it`);
-
-				return this.compiler.compile(queryContext).then(() => {
-					log.debug(`The AST query is now ready, executing it`);
-
-					queryContext.sql += ';';
-					return this.query(queryContext);
-				});
-			}
-			else {
-				// the oldschool way to do things
-				return this.getDBConnection(queryContext.pool).then((connection) => {
-					log.debug(`Got a connection from the pool «${queryContext.pool}», executing query`);
-
-					// nice, we got a connection, let us check if we 
-					// may have to render anything
-					if (queryContext.isReady()) {
-						log.debug(`The query is ready, executing it`);
-
-						this.queryExecutedCounter();
-						return connection.query(queryContext);
-					}
-					else {
-						log.debug(`The query is not ready, rendering it`);
-						
-						// let the querybuilder create sql
-						return new this.QueryBuilderConstructor(connection).render(queryContext).then(() => {
-														
-							// execute query
-							this.queryExecutedCounter();
-							return connection.query(queryContext);
-						});
-					}
-				});
-			}
-		}
+	getSlowQueries() {
+		return this.slowQueries ? this.slowQueries.toArray() : [];
 	}
 
 
@@ -677,10 +3317,9 @@ module.exports = class Cluster extends Events {
 
 
 
-
 	/**
 	 * lets a outside user with a conenction render aquery. 
-	 * used for transactions
+	 * used by transactions
 	 *
 	 * @param {object} connection the connection to use for escaping
 	 * @param {object} query the query definition
@@ -735,6 +3374,8 @@ module.exports = class Cluster extends Events {
 	 * @returns {Promise}
 	 */
 	describe(databaseNames) {
+		if (!this.AnalyzerConstructor) return Promise.reject(new Error(`The ${this.driverName} driver has no analyzer, cannot describe the database!`));
+
 		return this.getConnection('read').then((connection) => {
 			return (new this.AnalyzerConstructor(connection)).analyze(databaseNames).then((description) => {
 
@@ -760,85 +3401,228 @@ module.exports = class Cluster extends Events {
 
 
 	/**
-	 * ends the cluster
+	 * ends the cluster. it does not accept new work anymore and 
+	 * waits for the queued requests and the queries and 
+	 * transactions that are beeing executed before the nodes are
+	 * ended. the work that has not finished when the timeout has
+	 * passed is aborted and the connections are closed right away,
+	 * open transactions are rolled back by the servers.
 	 *
-	 * @param {boolean} endNow aborts all queued queries
+	 * end(true) is the same as end({abortQueued: true}), the 
+	 * queries and transactions in flight may finish
 	 *
-	 * @returns {Promise}
+	 * @param {object|boolean} options
+	 * @param {number} options.timeout ms to wait for the work to 
+	 *				   finish, waits forever by default
+	 * @param {boolean} options.abortQueued abort the queued requests 
+	 *					right away instead of waiting for them
+	 *
+	 * @returns {Promise} resolves to a summary of the work that 
+	 *					  was in flight: {completed: {queries, 
+	 *					  transactions}, aborted: {queries, 
+	 *					  transactions, requests}, timedOut, duration}
 	 */
-	end(endNow) { 
+	end(options) { 
+		if (typeof options !== 'object' || options === null) options = options ? {abortQueued: true} : {};
+
 		if (this.ended) return Promise.reject(new Error('The cluster has ended, cannot end it again!'));
+		else if (options.timeout !== undefined && !(options.timeout >= 0)) return Promise.reject(new Error(`The timeout of the shutdown must be a positive number of ms, got «${options.timeout}»!`));
 		else {
 			// flag the end
 			this.ended = true;
 
+			// the discovery must not add any more nodes
+			for (let provider of Array.from(this.discovery.keys())) {
+				this.detachDiscovery(provider).catch((err) => {
+					log.debug(`Failed to stop the discovery provider: ${err.message}`);
+				});
+			}
 
-			// stop the ttl check
-			clearInterval(this.checkInterval);
 
+			let start = Date.now();
 
+			return new Promise((resolve) => {
+				let shutdown = {
+					  completed 	: {queries: 0, transactions: 0}
+					, aborted 		: {queries: 0, transactions: 0, requests: 0}
+					, errors 		: new Set()
+					, timer 		: null
+					, check 		: () => {
+						if (!this.queueLength && !this.inFlight.size) finish(false);
+					}
+				};
 
-			// its asnyc
-			return new Promise((resolve, reject) => {
+				let finish = (timedOut) => {
+					if (this.shutdown !== shutdown) return;
 
+					this.shutdown = null;
 
-				// do we have to abort all items in the queue?
-				if (endNow) {
+					clearTimeout(shutdown.timer);
+					for (let queue of this.queues.values()) queue.removeListener('drain', shutdown.check);
 
-					// empty the queues
-					for (let queueName of this.queues.keys()) {
-						let queue = this.queues.get(queueName);
+					// the connections still in use are closed right away
+					this.endNodes(timedOut);
 
-						for (let request of queue) request.abort(new Error('The cluster is shutting down, all queries are beeing aborted!'));
+					log.info(`The cluster has ended, ${shutdown.aborted.queries} queries, ${shutdown.aborted.transactions} transactions and ${shutdown.aborted.requests} requests were aborted`);
 
-						// remove the queue
-						this.queues.delete(queueName);
-					}
+					resolve({
+						  completed 	: shutdown.completed
+						, aborted 		: shutdown.aborted
+						, timedOut 		: timedOut
+						, duration 		: Date.now() - start
+					});
+				};
 
+				this.shutdown = shutdown;
 
-					// end the nodes
-					for (let node of this.nodes) node.end();
 
+				// do we have to abort all items in the queue?
+				if (options.abortQueued) {
+					let err = new Error('The cluster is shutting down, all queries are beeing aborted!');
 
-					// de-reference
-					this.queues = null;
+					shutdown.errors.add(err);
+					shutdown.aborted.requests += this.abortQueuedRequests(err);
+				}
 
 
-					// we're done
-					resolve();
-				}
+				if (!this.queueLength && !this.inFlight.size) finish(false);
+				else if (options.timeout === 0) this.abortInFlight(finish);
 				else {
-					let keys = [];
+					log.info(`Ending the cluster, waiting for ${this.queueLength} queued requests and ${this.inFlight.size} queries and transactions`);
 
-					// missing the spread operator, but want ot be node v4 compatible :(
-					for (let key of this.queues.keys()) keys.push(key);
-					
+					if (options.timeout !== undefined) shutdown.timer = setTimeout(() => this.abortInFlight(finish), options.timeout);
 
-					// wait for all queues to drain
-					return Promise.all(keys.map((queueName) => {
-						let queue = this.queues.get(queueName);
+					for (let queue of this.queues.values()) queue.on('drain', shutdown.check);
+				}
+			});
+		}
+	}
 
-						if (!queue.length) return Promise.resolve();
-						else {
-							return new Promise((resolve, reject) => {
-								queue.once('drain', resolve);
-							});
-						}
-					})).then(() => {
 
-						// end the nodes
-						for (let node of this.nodes) node.end();
 
 
-						// de-reference
-						this.queues = null;
 
-						// we're done
-						resolve();
-					});
 
-				}
-			});
+
+	/**
+	 * aborts the work left when the deadline of the shutdown
+	 * has passed
+	 *
+	 * @param {function} finish ends the nodes
+	 */
+	abortInFlight(finish) {
+		let shutdown = this.shutdown;
+		let err = new Error('The cluster is shutting down, the query was aborted because it did not finish in time!');
+
+		log.warn(`The cluster failed to end in time, aborting ${this.inFlight.size} queries and transactions and ${this.queueLength} queued requests`);
+
+		shutdown.errors.add(err);
+
+		// the work is counted right away, it settles later. the
+		// work waiting for a connection is counted as request
+		for (let work of this.inFlight) {
+			work.aborted = true;
+			if (!work.queued) shutdown.aborted[work.type]++;
+			work.abort(err);
+		}
+
+		shutdown.aborted.requests += this.abortQueuedRequests(err);
+
+		finish(true);
+	}
+
+
+
+
+
+
+
+	/**
+	 * aborts all queued requests
+	 *
+	 * @param {Error} err the error the requests are rejected with
+	 *
+	 * @returns {number} the number of aborted requests
+	 */
+	abortQueuedRequests(err) {
+		let requests = new Set();
+
+		// a request is part of the queues of all nodes serving its pool
+		for (let queue of this.queues.values()) {
+			for (let request of queue) requests.add(request);
 		}
+
+		for (let request of requests) this.cancelRequest(request, err);
+
+		return requests.size;
+	}
+
+
+
+
+
+
+
+	/**
+	 * keeps track of a query or transaction so that the cluster
+	 * can wait for it when it ends, see end()
+	 *
+	 * @param {string} type queries or transactions
+	 * @param {function} run starts the work, gets the work record
+	 *					 and flags it as queued while it waits for 
+	 *					 a connection. returns a promise
+	 *
+	 * @returns {Promise} settles with the work or when it is 
+	 *					  aborted by the shutdown
+	 */
+	trackWork(type, run) {
+		let work = {type: type, aborted: false, abort: null, queued: false};
+		let aborting = new Promise((resolve, reject) => {
+			work.abort = reject;
+		});
+
+		this.inFlight.add(work);
+
+		let promise = run(work);
+
+		let settle = (err) => {
+			this.inFlight.delete(work);
+
+			if (this.shutdown && !work.aborted) {
+
+				// the aborted requests are counted by abortQueuedRequests
+				if (err && this.shutdown.errors.has(err)) {
+					if (!work.queued) this.shutdown.aborted[type]++;
+				}
+				else this.shutdown.completed[type]++;
+
+				this.shutdown.check();
+			}
+		};
+
+		return Promise.race([promise, aborting]).then((data) => {
+			settle();
+			return data;
+		}, (err) => {
+			settle(err);
+			return Promise.reject(err);
+		});
+	}
+
+
+
+
+
+
+
+	/**
+	 * ends all nodes of the cluster including the ones
+	 * that are beeing removed
+	 *
+	 * @param {boolean} force closes the busy connections right away
+	 */
+	endNodes(force) {
+		for (let node of this.nodes) node.end(force);
+		for (let node of this.drainingNodes) node.end(force);
 	}
-};
\ No newline at end of file
+};
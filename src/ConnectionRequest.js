@@ -19,14 +19,33 @@ module.exports = class ConnectionRequest {
     answered = false;
 
 
+    // requests with a higher priority are served first
+    priority = 0;
+
+
+    // the timestamp after which the request times out
+    deadline = null;
+
+    // the timer that cancels the request at its deadline
+    timer = null;
+
+    // the signal the request can be aborted with
+    signal = null;
+
+    // optional, returns false for nodes that must not serve 
+    // the request
+    nodeFilter = null;
+
+
     /**
      * class constructor
      *
      * @param {string} pool the name of the pool this connection is for
      * @param {function} resolve, the callback for requests that fo through
      * @param {function} reject, tha callback for errors
+     * @param {number} priority the priority of the request
      */
-    constructor(pool, resolve, reject) {
+    constructor(pool, resolve, reject, priority) {
 
 
         // update the created timestamp
@@ -43,6 +62,8 @@ module.exports = class ConnectionRequest {
         // we need to store the callback for later
         this.resolve = resolve;
         this.reject = reject;
+
+        if (priority !== undefined) this.priority = priority;
     }
 
 
@@ -58,6 +79,7 @@ module.exports = class ConnectionRequest {
     execute(connection) {
         if (!this.answered) {
             this.answered = true;
+            this.cleanUp();
             this.resolve(connection);
         }
     }
@@ -76,6 +98,7 @@ module.exports = class ConnectionRequest {
     abort(err) {
         if (!this.answered) {
             this.answered = true;
+            this.cleanUp();
             this.reject(err);
         }
     }
@@ -87,12 +110,68 @@ module.exports = class ConnectionRequest {
 
 
     /**
-     * checks if the request has expired against a
-     * given ttl
+     * sets the deadline of the request
+     *
+     * @param {number} timeout ms the request may wait
+     * @param {function} callback called when the deadline is reached
+     */
+    setDeadline(timeout, callback) {
+        this.deadline = this.created + timeout;
+        this.timer = setTimeout(callback, timeout);
+    }
+
+
+
+
+
+
+
+    /**
+     * lets the request be aborted using an AbortSignal
+     *
+     * @param {AbortSignal} signal
+     * @param {function} callback called when the signal is aborted
+     */
+    setSignal(signal, callback) {
+        this.signal = signal;
+        this.signalListener = callback;
+
+        signal.addEventListener('abort', callback, {once: true});
+    }
+
+
+
+
+
+
+
+    /**
+     * removes the timer and the signal listener
+     */
+    cleanUp() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.signal) {
+            this.signal.removeEventListener('abort', this.signalListener);
+            this.signal = null;
+        }
+    }
+
+
+
+
+
+
+
+    /**
+     * checks if the deadline of the request has passed
      *
-     * @param {number} ttl the ttl in seconds
+     * @returns {boolean}
      */
-    isExpired(ttl) {
-        return (Date.now() - ttl*1000) > this.created;
+    hasExpired() {
+        return this.deadline !== null && Date.now() >= this.deadline;
     }
 };
@@ -0,0 +1,206 @@
+const logd = require('logd');
+
+
+const log = logd.module('DriverRegistry');
+
+
+// the maintenance queries for the drivers of the
+// related-<driver>-* packages
+const dialects = {
+      postgres  : require('./dialects/postgres.js')
+    , mysql     : require('./dialects/mysql.js')
+};
+
+// the connections that create the clients of the drivers
+// with the ssl settings of the nodes. they are loaded with
+// the driver packages.
+const connections = {
+      postgres  : './connections/PostgresConnection.js'
+    , mysql     : './connections/MySQLConnection.js'
+};
+
+
+
+/**
+ * the registry stores the drivers the cluster can use. a driver
+ * consists of the classes that are used to create connections,
+ * build and compile the SQL queries and analyze databases. if
+ * a driver is not registered, the registry tries to load the
+ * related-<driver>-* packages.
+ *
+ * a driver may have a dialect, an object with the maintenance 
+ * queries the cluster executes on the nodes, for example to get 
+ * their replication lag, and optionally a startTransaction 
+ * function and the defaultPort. see the dialects directory.
+ */
+
+
+
+module.exports = class DriverRegistry {
+
+
+    /**
+     * class constructor
+     */
+    constructor() {
+
+        // the registered drivers by name
+        this.drivers = new Map();
+    }
+
+
+
+
+
+
+    /**
+     * registers a driver
+     *
+     * @param {string} name the name of the driver
+     * @param {object} driver the driver components
+     */
+    register(name, driver) {
+        if (typeof name !== 'string' || !name.length) throw new Error('Cannot register the driver, its name must be a non empty string!');
+
+        this.validate(name, driver);
+
+        log.debug(`Registering the ${name} driver`);
+
+        this.drivers.set(name, driver);
+    }
+
+
+
+
+
+
+    /**
+     * checks if a driver was registered
+     *
+     * @param {string} name the name of the driver
+     *
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.drivers.has(name);
+    }
+
+
+
+
+
+
+    /**
+     * returns a registered driver or loads the related-<driver>-*
+     * packages
+     *
+     * @param {string} name the name of the driver
+     *
+     * @returns {object} driver
+     */
+    get(name) {
+        if (this.drivers.has(name)) return this.drivers.get(name);
+        else {
+            const driver = {};
+
+            // load the connection modules
+            try {
+                driver.Connection = connections[name] ? require(connections[name]) : require(`related-${name}-connection`);
+            } catch(e) {
+                throw new Error(`Failed to load the ${name} connection driver: ${e}`);
+            }
+
+            // load the query builder nodule
+            try {
+                driver.QueryBuilder = require(`related-${name}-query-builder`);
+            } catch(e) {
+                throw new Error(`Failed to load the ${name} query builder: ${e}`);
+            }
+
+            // load the query compiler nodule
+            try {
+                driver.QueryCompiler = require(`related-${name}-query-compiler`);
+            } catch(e) {
+                throw new Error(`Failed to load the ${name} query compiler: ${e}`);
+            }
+
+            // load the analyzer nodule
+            try {
+                driver.Analyzer = require(`related-${name}-analyzer`);
+            } catch(e) {
+                throw new Error(`Failed to load the ${name} database analyzer: ${e}`);
+            }
+
+            if (dialects[name]) driver.dialect = dialects[name];
+
+            this.validate(name, driver);
+
+            return driver;
+        }
+    }
+
+
+
+
+
+
+    /**
+     * makes sure that all components of a driver implement
+     * the interface the cluster relies on. the analyzer is
+     * optional, without it the cluster cannot describe databases.
+     *
+     * @param {string} name the name of the driver
+     * @param {object} driver the driver components
+     */
+    validate(name, driver) {
+        if (typeof driver !== 'object' || driver === null) throw new Error(`The ${name} driver must be an object!`);
+
+        for (const component of Object.keys(DriverRegistry.interfaces)) {
+            const Constructor = driver[component];
+
+            if (Constructor === undefined && component === 'Analyzer') continue;
+            else if (typeof Constructor !== 'function') throw new Error(`The ${name} driver is missing the ${component} class!`);
+
+            for (const method of DriverRegistry.interfaces[component]) {
+                if (typeof Constructor.prototype[method] !== 'function') throw new Error(`The ${component} class of the ${name} driver must implement the ${method}() method!`);
+            }
+        }
+
+        if (driver.dialect !== undefined) {
+            if (typeof driver.dialect !== 'object' || driver.dialect === null) throw new Error(`The dialect of the ${name} driver must be an object!`);
+
+            for (const queryName of Object.keys(driver.dialect)) {
+                const query = driver.dialect[queryName];
+
+                if (queryName === 'startTransaction') {
+                    if (typeof query !== 'function') throw new Error(`The startTransaction property of the ${name} dialect must be a function!`);
+                    continue;
+                }
+
+                if (queryName === 'defaultPort') {
+                    if (!(Number.isInteger(query) && query > 0)) throw new Error(`The defaultPort property of the ${name} dialect must be a positive integer!`);
+                    continue;
+                }
+
+                if (!query || typeof query.sql !== 'string' || typeof query.parse !== 'function') throw new Error(`The ${queryName} query of the ${name} dialect must have the sql and parse properties!`);
+            }
+        }
+    }
+
+
+
+
+
+
+    /**
+     * the methods each driver component must implement
+     */
+    static get interfaces() {
+        return {
+              Connection    : ['connect', 'query', 'kill', 'removeFromPool', 'end', 'on']
+            , QueryBuilder  : ['render']
+            , QueryCompiler : ['compile']
+            , Analyzer      : ['analyze']
+        };
+    }
+};
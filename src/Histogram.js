@@ -0,0 +1,92 @@
+/**
+ * a histogram with fixed buckets, used to collect the
+ * distribution of wait times and query durations. the
+ * values are in ms.
+ */
+
+
+
+module.exports = class Histogram {
+
+    // total of all observed values
+    sum = 0;
+
+    // number of observed values
+    count = 0;
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {array} buckets the upper bounds of the buckets, in ms
+     */
+    constructor(buckets) {
+        this.buckets = (buckets || Histogram.defaultBuckets).slice().sort((a, b) => a - b);
+
+        // the number of values per bucket, the last
+        // one counts the values above the last bound
+        this.counts = new Array(this.buckets.length + 1).fill(0);
+    }
+
+
+
+
+
+
+    /**
+     * adds a value to the histogram
+     *
+     * @param {number} value in ms
+     */
+    observe(value) {
+        let index = this.buckets.findIndex(bound => value <= bound);
+
+        if (index === -1) index = this.buckets.length;
+
+        this.counts[index]++;
+        this.sum += value;
+        this.count++;
+    }
+
+
+
+
+
+
+    /**
+     * returns a snapshot of the histogram with cumulative
+     * bucket counts
+     *
+     * @returns {object}
+     */
+    getSnapshot() {
+        let cumulative = 0;
+
+        const buckets = this.buckets.map((bound, index) => {
+            cumulative += this.counts[index];
+            return {le: bound, count: cumulative};
+        });
+
+        buckets.push({le: Infinity, count: this.count});
+
+        return {
+              buckets: buckets
+            , sum: this.sum
+            , count: this.count
+        };
+    }
+
+
+
+
+
+
+    /**
+     * the default bucket bounds in ms
+     */
+    static get defaultBuckets() {
+        return [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+    }
+};
@@ -0,0 +1,119 @@
+/**
+ * the default store of the result cache. it keeps the entries
+ * in memory and removes the least recently used entry if it
+ * is full.
+ *
+ * other stores must implement get, set, delete and clear.
+ * they may return promises.
+ */
+
+
+
+module.exports = class LRUStore {
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options
+     * @param {number} options.maxEntries the max number of entries
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.maxEntries = options.maxEntries === undefined ? 1000 : options.maxEntries;
+
+        if (!Number.isInteger(this.maxEntries) || this.maxEntries < 1) throw new Error(`The maxEntries of the cache store must be a positive integer, got «${this.maxEntries}»!`);
+
+        // the map keeps the insertion order, the first
+        // entry is the least recently used one
+        this.entries = new Map();
+    }
+
+
+
+
+
+
+    // the number of stored entries
+    get size() {
+        return this.entries.size;
+    }
+
+
+
+
+
+
+    /**
+     * returns an entry
+     *
+     * @param {string} key
+     *
+     * @returns {*} the value or undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) return;
+        else if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return;
+        }
+        else {
+
+            // mark as recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+
+            return entry.value;
+        }
+    }
+
+
+
+
+
+
+    /**
+     * stores an entry
+     *
+     * @param {string} key
+     * @param {*} value
+     * @param {number} ttl ms the entry is valid
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, {value: value, expires: Date.now() + ttl});
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+
+
+
+
+
+    /**
+     * removes an entry
+     *
+     * @param {string} key
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+
+
+
+
+
+    /**
+     * removes all entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+};
@@ -0,0 +1,230 @@
+/**
+ * the load balancer selects the idle connection of a pool
+ * that is handed out next. each pool has its own balancer.
+ *
+ * supported strategies:
+ * - fifo: the connection that is idle the longest, this
+ *   spreads the load by the number of connections per node
+ * - round-robin: the nodes take turns
+ * - least-active: the node with the fewest busy connections
+ * - weighted: the nodes take turns according to their weight
+ *   (smooth weighted round-robin)
+ * - random: a random idle connection
+ *
+ * while requests are queued, a connection that becomes idle 
+ * serves the next of them unless another node has less load.
+ * round-robin and least-active balance the busy connections
+ * of the nodes, weighted the busy connections per weight. the
+ * connection stays idle then and the request waits for the
+ * other node. fifo and random serve the request right away.
+ */
+
+
+
+module.exports = class LoadBalancer {
+
+
+    /**
+     * class constructor
+     *
+     * @param {string} strategy the name of the strategy
+     */
+    constructor(strategy) {
+        if (strategy === undefined) strategy = 'fifo';
+
+        if (!LoadBalancer.strategies.includes(strategy)) throw new Error(`Invalid load balancing strategy «${strategy}», expected one of ${LoadBalancer.strategies.join(', ')}!`);
+
+        this.strategy = strategy;
+
+        // the nodes in the order they take turns (round-robin)
+        this.order = [];
+
+        // the node that was selected last (round-robin)
+        this.lastNode = null;
+
+        // the current weights of the nodes (weighted)
+        this.currentWeights = new Map();
+    }
+
+
+
+
+
+
+    /**
+     * selects the connection to be handed out next
+     *
+     * @param {LinkedList} pool the idle connections
+     * @param {function} getNode returns the node of a connection
+     * @param {function} accept optional, returns false for nodes
+     *                   that must not be selected
+     *
+     * @returns {object|undefined} connection
+     */
+    select(pool, getNode, accept) {
+        if (!pool.length) return;
+        else if (this.strategy === 'fifo' && !accept) return pool.getLast(true);
+        else if (this.strategy === 'fifo') {
+            let oldest;
+
+            // the list iterates from the newest to the oldest item
+            for (const connection of pool) {
+                if (accept(getNode(connection))) oldest = connection;
+            }
+
+            return oldest;
+        }
+        else if (this.strategy === 'random') {
+            const connections = [];
+
+            for (const connection of pool) {
+                if (!accept || accept(getNode(connection))) connections.push(connection);
+            }
+
+            return connections[Math.floor(Math.random()*connections.length)];
+        }
+        else {
+
+            // the most recently returned connection of each node
+            const candidates = new Map();
+
+            for (const connection of pool) {
+                const node = getNode(connection);
+                if (node && !candidates.has(node) && (!accept || accept(node))) candidates.set(node, connection);
+            }
+
+            if (!candidates.size) return;
+
+            return candidates.get(this.selectNode(Array.from(candidates.keys())));
+        }
+    }
+
+
+
+
+
+
+    /**
+     * true if the strategy decides which node serves the queued
+     * requests, see selectQueuedNode
+     */
+    get balancesQueue() {
+        return this.strategy === 'round-robin' || this.strategy === 'least-active' || this.strategy === 'weighted';
+    }
+
+
+
+
+
+
+    /**
+     * selects the node that serves a queued request when a
+     * connection of a node has become idle. the node keeps the
+     * request unless another node has less load once it has 
+     * taken it
+     *
+     * @param {node} node the node of the idle connection
+     * @param {array} nodes the other nodes that can serve the request
+     * @param {function} getBusy returns the busy connections of a
+     *                   node, the idle connection is counted as busy
+     *
+     * @returns {node}
+     */
+    selectQueuedNode(node, nodes, getBusy) {
+        if (!this.balancesQueue) return node;
+
+        const weight = candidate => this.strategy === 'weighted' ? candidate.weight : 1;
+        let selected = node;
+        let lowest = getBusy(node)/weight(node);
+
+        for (const candidate of nodes) {
+            const load = (getBusy(candidate) + 1)/weight(candidate);
+
+            if (load < lowest) {
+                selected = candidate;
+                lowest = load;
+            }
+        }
+
+        return selected;
+    }
+
+
+
+
+
+
+    /**
+     * selects one of the nodes that have idle connections
+     *
+     * @param {array} nodes
+     *
+     * @returns {node}
+     */
+    selectNode(nodes) {
+        switch (this.strategy) {
+            case 'round-robin': {
+                for (const node of nodes) {
+                    if (!this.order.includes(node)) this.order.push(node);
+                }
+
+                // forget nodes that were removed
+                this.order = this.order.filter(node => !node.ended);
+
+                const start = this.order.indexOf(this.lastNode) + 1;
+
+                for (let i = 0; i < this.order.length; i++) {
+                    const node = this.order[(start + i) % this.order.length];
+
+                    if (nodes.includes(node)) {
+                        this.lastNode = node;
+                        return node;
+                    }
+                }
+
+                return;
+            }
+
+            case 'least-active':
+                return nodes.reduce((selected, node) => {
+                    return (node.count - node.idleCount) < (selected.count - selected.idleCount) ? node : selected;
+                });
+
+            case 'weighted': {
+                let total = 0;
+                let selected = null;
+
+                for (const node of nodes) {
+                    const weight = node.weight;
+                    const current = (this.currentWeights.get(node) || 0) + weight;
+
+                    this.currentWeights.set(node, current);
+                    total += weight;
+
+                    if (!selected || current > this.currentWeights.get(selected)) selected = node;
+                }
+
+                this.currentWeights.set(selected, this.currentWeights.get(selected) - total);
+
+                // forget nodes that were removed
+                for (const node of this.currentWeights.keys()) {
+                    if (node.ended) this.currentWeights.delete(node);
+                }
+
+                return selected;
+            }
+        }
+    }
+
+
+
+
+
+
+    /**
+     * the names of the supported strategies
+     */
+    static get strategies() {
+        return ['fifo', 'round-robin', 'least-active', 'weighted', 'random'];
+    }
+};
@@ -1,22 +1,66 @@
 const LinkedList = require('linkd');
 const Events = require('events');
 const logd = require('logd');
+const QueryContext = require('related-query-context');
+const Backoff = require('./Backoff.js');
 
 
 const log = logd.module('Node');
 
 
+// the default limits, used again when a limit is removed
+// from the configuration of a running node
+const defaultLimits = {
+      maxConnections 			: 50
+    , weight 					: 1
+    , minIdle 					: 1
+    , maxIdle 					: Infinity
+    , idleTimeout 				: 30000
+    , maxLifetime 				: 0
+    , maxLifetimeJitter 		: 0.1
+    , maxQueriesPerConnection 	: 0
+};
+
+
 /**
  * a node represents one databse host. It creates connections and
  * checks if its up when queries start to fail. the outside cannot
  * request connections from it, it creates them itself as they are
- * needed.
- * a node with a lower max connections value is automatically used 
- * less than a host with more connections. this isn't enforced by 
- * any algorithm, it happens naturally because the node sends
- * less connections to the pool and has thus a lower chance to get
- * selected for a query.
+ * needed: it keeps «minIdle» connections ready and creates more 
+ * when the cluster reports requests waiting for the node. idle
+ * connections are closed after «idleTimeout» ms and if there are
+ * more than «maxIdle» of them. connections that have exceeded 
+ * «maxLifetime» or «maxQueriesPerConnection» are retired when
+ * they get idle and are replaced in the background.
+ *
+ * if «maxReplicationLag» is set, the node polls its replication
+ * lag using the maintenance queries of the driver dialect. a node
+ * lagging behind is not selected by the cluster as long as there
+ * are other nodes serving the same pool.
  *
+ * with «roleDiscovery» enabled, the node checks if it's the primary
+ * or a replica each time it gets up and every «roleCheckInterval» ms 
+ * and emits the «roleChange» event. the cluster then moves the node
+ * to the pools configured for its role.
+ *
+ * with «positionCheckInterval» set, the node polls the position 
+ * it has replicated up to, used by the cluster for read your writes 
+ * consistency.
+ * how the connections of the nodes are handed out is decided by
+ * the load balancing strategy of the pool, see the LoadBalancer
+ * class. with the default strategy a node with a lower max 
+ * connections value is used less than a host with more connections
+ * because it sends less connections to the pool. the weighted 
+ * strategy uses the «weight» of the node instead.
+ *
+ * the node has an explicit state which is emitted using the 
+ * «stateChange» event whenever it changes:
+ * - connecting: the node was created and has no connections yet
+ * - up: the node has created connections successfully
+ * - degraded: a connection reported a problem, the host is checked
+ * - down: the host could not be reached, connections are re-created
+ * - draining: the node is beeing removed, it ends after its connections
+ * - ended: the node has ended and cannot be used anymore
  */
 
 
@@ -24,22 +68,118 @@ const log = logd.module('Node');
 module.exports = class Node extends Events {
 
 	// max connections
-	maxConnections = 50
+	maxConnections = defaultLimits.maxConnections;
+
+	// the share of the load the node gets when the pool
+	// uses the weighted load balancing strategy
+	weight = defaultLimits.weight;
+
+	// the number of idle connections kept open
+	minIdle = defaultLimits.minIdle;
+
+	// idle connections exceeding this number are closed
+	maxIdle = defaultLimits.maxIdle;
+
+	// ms after which an idle connection is closed, as
+	// long as there are more than minIdle connections.
+	// 0 disables the reaping
+	idleTimeout = defaultLimits.idleTimeout;
+
+	// ms between the checks for connections to reap
+	reapInterval = 1000;
+
+	// ms after which a connection is retired, 0 disables it
+	maxLifetime = defaultLimits.maxLifetime;
+
+	// the lifetime of each connection is shortened randomly
+	// by up to this fraction so that they don't all retire 
+	// at the same time
+	maxLifetimeJitter = defaultLimits.maxLifetimeJitter;
+
+	// the number of queries after which a connection is 
+	// retired, 0 disables it
+	maxQueriesPerConnection = defaultLimits.maxQueriesPerConnection;
+
+	// the number of retired connections that need to be
+	// replaced
+	replacements = 0;
+
+	// the total number of retired connections
+	retiredConnections = 0;
+
+	// ms the node may lag behind the primary before it's 
+	// excluded from the pool selection, 0 disables it
+	maxReplicationLag = 0;
+
+	// ms between the checks of the replication lag
+	replicationLagInterval = 5000;
+
+	// the last known replication lag in ms, null if unknown
+	replicationLag = null;
+
+	// the time the replication lag was checked
+	replicationLagCheckedAt = null;
+
+	// true if the replication lag exceeds maxReplicationLag
+	lagging = false;
+
+	// checks if the node is the primary or a replica
+	roleDiscovery = false;
+
+	// ms between the role checks
+	roleCheckInterval = 5000;
+
+	// primary or replica, null if unknown
+	role = null;
+
+	// ms between the checks of the replicated position, 
+	// 0 disables them
+	positionCheckInterval = 0;
+
+	// the last known position in the replication log, 
+	// null if unknown
+	position = null;
+
+	// the number of requests waiting for a connection 
+	// of this node, reported by the cluster
+	demand = 0;
 
 	// number of connections beeing created at the moement
 	creatingCount = 0;
 
-	// time in ms between two failed connection attempts
-	throttleTime = 10;
+	// timer for the next throttled connection attempt
+	throttleTimer = null;
 
 	// indicates if we're currently throttling the creation
 	// of new connections
 	throttling = true;
 
+
+	// the number of failed connection attempts since the
+	// last successful one
+	consecutiveFailures = 0;
+
+	// the total number of failed connection attempts
+	connectionFailures = 0;
+
+	// the circuit breaker opens after this many consecutive
+	// failures, 0 disables it
+	failureThreshold = 0;
+
+	// while the circuit breaker is open the node is considered
+	// to be unavailable, it still tries to reconnect
+	circuitOpen = false;
+
 	// flags if the host was ended, if yes, we should not
 	// create any new connections anymore
 	ended = false;
 
+	// the current state of the node, see the class description
+	state = 'connecting';
+
+	// timer that ends a draining node forcefully
+	drainTimeout = null;
+
 
 
 
@@ -73,6 +213,14 @@ module.exports = class Node extends Events {
 
 
 
+	// flags if the host is beeing removed, it does not create
+	// new connections and ends as soon as the existing ones 
+	// have finished their work
+	get draining() {
+		return this.state === 'draining';
+	}
+
+
 	// returns the percentage of idle connections, 
 	// connections currently created are also counted
 	// as idle connections
@@ -81,10 +229,47 @@ module.exports = class Node extends Events {
 	}
 
 
+	// the number of connections that are not busy
+	get idleCount() {
+		let count = 0;
+
+		if (this.connections) {
+			for (let connection of this.connections) {
+				if (connection.idle) count++;
+			}
+		}
+
+		return count;
+	}
+
+
+	// the number of connections that are idle in the pools
+	// of the cluster
+	get availableCount() {
+		return this.idleSince.size;
+	}
+
+
+	// the number of idle connections kept open. at least one
+	// connection is needed to get loaded and a lagging node gets
+	// no demand, it needs one to check if it has caught up
+	get requiredIdle() {
+		return this.state === 'connecting' || this.lagging ? Math.max(this.minIdle, 1) : this.minIdle;
+	}
+
+
+	// checks if a connection should be created
+	get needsConnection() {
+		if (this.ended || this.draining || this.count >= this.maxConnections) return false;
+
+		return (this.availableCount + this.creatingCount) < this.requiredIdle || this.creatingCount < this.demand + this.replacements;
+	}
+
+
 	// the count is the number of open connections on this node
 	// including all connections that are currently being made
 	get count() {
-		return this.connections.length;
+		return this.connections ? this.connections.length : 0;
 	}
 
 
@@ -105,6 +290,14 @@ module.exports = class Node extends Events {
 		// oldest connections are the topmost items in the list)
 		this.connections = new LinkedList();
 
+		// the time since when the connections are idle in 
+		// the pools of the cluster
+		this.idleSince = new Map();
+
+		// the expiry time and the number of executed 
+		// queries for each connection
+		this.connectionInfo = new Map();
+
 
 
 		// the host must be part of one or more pools
@@ -120,8 +313,40 @@ module.exports = class Node extends Events {
 		this.config = config;
 
 
-		// the user can set a custom connection limit
-		if (config.maxConnections) this.maxConnections = config.maxConnections;
+		// connection limits, idle connections, recycling 
+		// and the weight
+		this.setLimits(config);
+
+
+		// the maintenance queries for the database
+		this.dialect = config.dialect || null;
+
+		// replicas lagging behind are not used
+		if (config.maxReplicationLag !== undefined) this.maxReplicationLag = config.maxReplicationLag;
+		if (config.replicationLagInterval !== undefined) this.replicationLagInterval = config.replicationLagInterval;
+
+		if (!(this.maxReplicationLag >= 0)) throw new Error(`The maxReplicationLag option must be a positive number of ms, got «${this.maxReplicationLag}»!`);
+		if (this.maxReplicationLag && !(this.dialect && this.dialect.replicationLag)) throw new Error(`The maxReplicationLag option is not supported by the driver, its dialect has no replicationLag query!`);
+
+		// the role of the node may change on failovers
+		if (config.roleDiscovery) this.roleDiscovery = true;
+		if (config.roleCheckInterval !== undefined) this.roleCheckInterval = config.roleCheckInterval;
+
+		if (this.roleDiscovery && !(this.dialect && this.dialect.role)) throw new Error(`The role discovery is not supported by the driver, its dialect has no role query!`);
+		if (!(this.roleCheckInterval > 0)) throw new Error(`The roleCheckInterval option must be a positive number of ms, got «${this.roleCheckInterval}»!`);
+
+		// the position is used for read your writes consistency
+		if (config.positionCheckInterval !== undefined) this.positionCheckInterval = config.positionCheckInterval;
+
+		if (!(this.positionCheckInterval >= 0)) throw new Error(`The positionCheckInterval option must be a positive number of ms, got «${this.positionCheckInterval}»!`);
+
+
+
+		// computes the delays between failed connection attempts
+		this.backoff = new Backoff(config.backoff);
+
+		// the circuit breaker is optional
+		if (config.circuitBreaker && config.circuitBreaker.failureThreshold) this.failureThreshold = config.circuitBreaker.failureThreshold;
 
 
 
@@ -137,18 +362,48 @@ module.exports = class Node extends Events {
 		// fill the pool
 		this.createConnection();
 
+		// close connections that are idle for too long or
+		// have exceeded their lifetime
+		this.startReaper();
 
-		// tell the outside if we have succeeded
+		// poll the replication lag
+		if (this.maxReplicationLag) {
+			this.lagTimer = setInterval(this.checkReplicationLag.bind(this), this.replicationLagInterval);
+			this.once('load', () => this.checkReplicationLag());
+		}
+
+		// poll the replicated position, drivers without position
+		// query fall back to the replication lag
+		if (this.positionCheckInterval && this.dialect && this.dialect.position) {
+			this.positionTimer = setInterval(this.checkPosition.bind(this), this.positionCheckInterval);
+			this.once('load', () => this.checkPosition());
+		}
+
+
+		// tell the outside if we have succeeded. nodes discovering
+		// their role are loaded as soon as they know it
 		this.once('connection', () => {
 			process.nextTick(() => {
-				this.emit('load');
+				if (this.roleDiscovery) this.checkRole().then(() => this.emit('load'));
+				else this.emit('load');
 			});
 		});
 
 
+		// the role may have changed while the node was down
+		if (this.roleDiscovery) {
+			this.roleTimer = setInterval(this.checkRole.bind(this), this.roleCheckInterval);
+
+			this.on('stateChange', (state, previousState) => {
+				if (state === 'up' && previousState !== 'connecting') process.nextTick(() => this.checkRole());
+			});
+		}
+
+
 		if (process.argv.includes('--debug-db-node')) {
 			setInterval(() => {
 				log.warn(`node stats (${this.config.host.green}/${this.config.database.blue} -> ${this.compositeName.grey}):`);
+				log.info(`state: ${this.state}`);
 				log.info(`idle connection %: ${this.idle}`);
 				log.info(`connection count: ${this.count}`);
 				log.info(`connections being created right now: ${this.creatingCount}`);
@@ -160,8 +415,11 @@ module.exports = class Node extends Events {
 
 	
 	printStats() {
+		log.info(`Node state: ${this.state}`);
 		log.info(`Node has ended: ${this.ended}`);
 		log.info(`Node is throttling: ${this.throttling}`);
+		log.info(`Circuit breaker is open: ${this.circuitOpen}`);
+		log.info(`Consecutive connection failures: ${this.consecutiveFailures}`);
 		log.info(`Idle connection percentage: ${this.idle}`);
 		log.info(`Max connections: ${this.maxConnections}`);
 		log.info(`Connection count: ${this.count}`);
@@ -170,6 +428,35 @@ module.exports = class Node extends Events {
 
 
 
+	/**
+	* returns a structured snapshot of the node
+	*
+	* @returns {object}
+	*/
+	getStats() {
+		return {
+			  host 					: this.config.host
+			, port 					: this.config.port
+			, database 				: this.config.database
+			, pools 				: this.pools
+			, state 				: this.state
+			, circuitOpen 			: this.circuitOpen
+			, connections 			: this.count
+			, idleConnections 		: this.idleCount
+			, creatingConnections 	: this.creatingCount
+			, maxConnections 		: this.maxConnections
+			, connectionFailures 	: this.connectionFailures
+			, consecutiveFailures 	: this.consecutiveFailures
+			, retiredConnections 	: this.retiredConnections
+			, replicationLag 		: this.replicationLag
+			, lagging 				: this.lagging
+			, role 					: this.role
+			, position 				: this.position
+		};
+	}
+
+
+
 	/**
 	* checks if its possible to create a new connection
 	* under all given constraints. if everything looks ok
@@ -187,8 +474,9 @@ module.exports = class Node extends Events {
 
 		// first we need to check our status and if we're  allowed to create more
 		// connections. It cannot be ended, there shall not too many idling connections
-		// and we shall not exceed the max connections 
-		if (!this.ended && (this.count + this.creatingCount) < this.maxConnections) {
+		// and we shall not exceed the max connections. the connections beeing created
+		// are already part of the count
+		if (this.needsConnection) {
 			log.debug(`Connection can be created ..`);
 
 			// if there were connection errors the pace on which
@@ -199,16 +487,18 @@ module.exports = class Node extends Events {
 
 				// in throttling mode there can not be more 
 				// than one connection attempt the any given time
-				if (this.creatingCount === 0) {
+				if (this.creatingCount === 0 && !this.throttleTimer) {
 					log.debug(`No connection attempt is in progress`);
 
-					// increase the throttling time on each run by 10%
-					this.throttleTime = Math.ceil(this.throttleTime*1.1);
+					// the backoff policy decides how long to wait
+					let delay = this.backoff.next();
 
-					log.debug(`Throttling time is now: ${this.throttleTime}`);
+					log.debug(`Throttling time is now: ${delay}`);
 
 					// wait until the next attempt to connect
-					setTimeout(() => {
+					this.throttleTimer = setTimeout(() => {
+						this.throttleTimer = null;
+
 						log.debug(`Throttling time is over, starting connection attempt`);
 
 						// wait for the result, decide what to do
@@ -218,7 +508,7 @@ module.exports = class Node extends Events {
 							// nice, we were successful, lets reset all the 
 							// throttling stuff
 							this.throttling = false;
-							this.throttleTime = 10;
+							this.backoff.reset();
 
 							// we're ready to create as many connections as 
 							// needed
@@ -228,7 +518,7 @@ module.exports = class Node extends Events {
 							// try again
 							this.createConnection();
 						});
-					}, this.throttleTime);
+					}, delay);
 				}
 			}
 			else {
@@ -278,17 +568,54 @@ module.exports = class Node extends Events {
 			this.creatingCount--;
 
 
+			// the node is going away, the connection is not needed anymore
+			if (this.ended || this.draining) {
+				if (this.connections && this.connections.has(connection.id)) this.connections.remove(connection.id);
+
+				connection.kill();
+
+				this.endIfDrained();
+				return;
+			}
+
+			// the connection is retired at the end of its life
+			this.connectionInfo.set(connection, {
+				  expires 	: this.maxLifetime ? Date.now() + this.maxLifetime*(1 - Math.random()*this.maxLifetimeJitter) : Infinity
+				, queries 	: 0
+			});
+
+			// a retired connection has been replaced
+			if (this.replacements) this.replacements--;
+
 			// make sure the connection is removed as soon as it ends
 			connection.once('end', (err) => {
-				if (this.connections.has(connection.id)) this.connections.remove(connection.id);
+				if (this.connections && this.connections.has(connection.id)) this.connections.remove(connection.id);
+				this.idleSince.delete(connection);
+				this.connectionInfo.delete(connection);
+
+				// a draining node ends after its last connection
+				if (this.draining) this.endIfDrained();
 
 				// get a new conenction
-				this.createConnection();
+				else this.createConnection();
 			});
 
 			// not throttling anymore
 			this.throttling = false;
 
+			// the host is reachable again
+			this.consecutiveFailures = 0;
+
+			if (this.circuitOpen) {
+				log.info(`The circuit breaker of the node «${this.config.host}» has closed`);
+
+				this.circuitOpen = false;
+				this.emit('circuitClose');
+			}
+
+			// the host is reachable
+			this.setState('up', 'a connection was established');
+
 			// the connection my report connectivity problems 
 			connection.on('connectivityProblem', this.handleConnectivityProblem.bind(this));
 
@@ -302,11 +629,23 @@ module.exports = class Node extends Events {
 
 
 			// remove from storage
-			if (this.connections.has(connection.id)) this.connections.remove(connection.id);
+			if (this.connections && this.connections.has(connection.id)) this.connections.remove(connection.id);
 
 			// we shoud start throttling connection creation
 			this.throttling = true;
 
+			// too many failures in a row, the node should not be 
+			// waited for anymore
+			this.consecutiveFailures++;
+			this.connectionFailures++;
+
+			if (this.failureThreshold && !this.circuitOpen && this.consecutiveFailures >= this.failureThreshold) {
+				log.warn(`The circuit breaker of the node «${this.config.host}» has opened after ${this.consecutiveFailures} failed connection attempts`);
+
+				this.circuitOpen = true;
+				this.emit('circuitOpen');
+			}
+
 
 			// the node may have ended, so we need to check for that
 			if (this.ended) {
@@ -314,6 +653,15 @@ module.exports = class Node extends Events {
 				throw err;
 			}
 
+			// a draining node is not interested in its connectivity
+			if (this.draining) {
+				this.endIfDrained();
+				throw err;
+			}
+
+			// without any working connection the host is considered down
+			this.setState(this.count ? 'degraded' : 'down', `failed to create a connection: ${err.message}`);
+
 			// so, thats a problem, we got a specialized handler
 			// for this case, it tries to detect if the host is 
 			// available at all
@@ -333,6 +681,407 @@ module.exports = class Node extends Events {
 
 
 
+	/**
+	* sets the connection limits, the idle connection settings,
+	* the recycling of the connections and the weight
+	*
+	* @param {object} config
+	*/
+	setLimits(config) {
+
+		// the user can set a custom connection limit
+		if (config.maxConnections) this.maxConnections = config.maxConnections;
+
+		// how many idle connections are kept
+		if (config.minIdle !== undefined) this.minIdle = config.minIdle;
+		if (config.maxIdle !== undefined) this.maxIdle = config.maxIdle;
+		if (config.idleTimeout !== undefined) this.idleTimeout = config.idleTimeout;
+
+		if (!(this.minIdle >= 0) || this.minIdle > this.maxConnections) throw new Error(`The minIdle option must be a number between 0 and maxConnections, got «${this.minIdle}»!`);
+		if (!(this.maxIdle >= this.minIdle)) throw new Error(`The maxIdle option must be a number not smaller than minIdle, got «${this.maxIdle}»!`);
+		if (!(this.idleTimeout >= 0)) throw new Error(`The idleTimeout option must be a positive number of ms, got «${this.idleTimeout}»!`);
+
+		// connections are recycled regularly
+		if (config.maxLifetime !== undefined) this.maxLifetime = config.maxLifetime;
+		if (config.maxLifetimeJitter !== undefined) this.maxLifetimeJitter = config.maxLifetimeJitter;
+		if (config.maxQueriesPerConnection !== undefined) this.maxQueriesPerConnection = config.maxQueriesPerConnection;
+
+		if (!(this.maxLifetime >= 0)) throw new Error(`The maxLifetime option must be a positive number of ms, got «${this.maxLifetime}»!`);
+		if (!(this.maxLifetimeJitter >= 0 && this.maxLifetimeJitter <= 1)) throw new Error(`The maxLifetimeJitter option must be a number between 0 and 1, got «${this.maxLifetimeJitter}»!`);
+		if (!(this.maxQueriesPerConnection >= 0)) throw new Error(`The maxQueriesPerConnection option must be a positive number, got «${this.maxQueriesPerConnection}»!`);
+
+		// the weight is used for load balancing
+		if (config.weight !== undefined) {
+			if (typeof config.weight !== 'number' || !(config.weight > 0)) throw new Error(`The weight of a node must be a positive number, got «${config.weight}»!`);
+			this.weight = config.weight;
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* changes the limits of a running node, see setLimits. the
+	* limits missing from the configuration get their defaults,
+	* the old limits are kept if the new ones are invalid. if the
+	* node has more connections than allowed, the idle ones are
+	* closed by the cluster and busy ones when they are returned
+	*
+	* @param {object} config
+	*/
+	updateLimits(config) {
+		let previous = {};
+
+		for (let key of Object.keys(defaultLimits)) previous[key] = this[key];
+
+		try {
+			this.setLimits(Object.assign({}, defaultLimits, config));
+		} catch (err) {
+			Object.assign(this, previous);
+			throw err;
+		}
+
+		this.startReaper();
+
+		// the limit may have been raised
+		this.createConnection();
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* starts the timer that closes connections that are idle
+	* for too long or have exceeded their lifetime
+	*/
+	startReaper() {
+		if (this.reapTimer) clearInterval(this.reapTimer);
+
+		this.reapTimer = null;
+
+		if (!this.ended && (this.idleTimeout || this.maxLifetime)) {
+			this.reapTimer = setInterval(this.reapIdleConnections.bind(this), Math.min(this.reapInterval, this.idleTimeout || Infinity, this.maxLifetime || Infinity));
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* the cluster reports how many requests are waiting for a
+	* connection of this node, connections are created if needed
+	*
+	* @param {number} demand the number of waiting requests
+	*/
+	setDemand(demand) {
+		this.demand = demand;
+
+		if (demand) this.createConnection();
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* the cluster has put a connection into its pools
+	*
+	* @param {object} connection
+	*/
+	markIdle(connection) {
+		this.idleSince.set(connection, Date.now());
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* the cluster has taken a connection from its pools
+	*
+	* @param {object} connection
+	*/
+	markBusy(connection) {
+		this.idleSince.delete(connection);
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* checks if the cluster should keep another idle connection
+	* of this node in its pools
+	*
+	* @returns {boolean}
+	*/
+	acceptsIdleConnection() {
+		return this.availableCount < Math.max(this.maxIdle, this.requiredIdle) && this.count <= this.maxConnections;
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* counts a query executed on a connection for the query
+	* limit. the cluster counts the queries it executes, the
+	* maintenance queries of the node are not counted
+	*
+	* @param {object} connection
+	*/
+	countQuery(connection) {
+		let info = this.connectionInfo.get(connection);
+
+		if (info) info.queries++;
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* checks if a connection has exceeded its lifetime or
+	* its query limit
+	*
+	* @param {object} connection
+	*
+	* @returns {boolean}
+	*/
+	shouldRetire(connection) {
+		let info = this.connectionInfo.get(connection);
+
+		if (!info) return false;
+		else return Date.now() >= info.expires || (this.maxQueriesPerConnection > 0 && info.queries >= this.maxQueriesPerConnection);
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* closes an idle connection that has exceeded its lifetime
+	* or query limit and creates a new one in the background
+	*
+	* @param {object} connection
+	*/
+	retireConnection(connection) {
+		log.debug(`Retiring a connection of the node «${this.config.host}» after ${this.connectionInfo.get(connection).queries} queries`);
+
+		this.retiredConnections++;
+		this.replacements++;
+
+		this.idleSince.delete(connection);
+		connection.kill();
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* retires the idle connections that have exceeded their
+	* lifetime and closes the connections that are idle for 
+	* longer than the idle timeout, keeps minIdle connections 
+	* open. ending the connections removes them from the pools 
+	* of the cluster
+	*/
+	reapIdleConnections() {
+		for (let connection of this.idleSince.keys()) {
+			if (this.shouldRetire(connection)) this.retireConnection(connection);
+		}
+
+		if (!this.idleTimeout) return;
+
+		let available = this.availableCount;
+		let deadline = Date.now() - this.idleTimeout;
+
+		// the map is ordered by the time the connections got idle
+		for (let [connection, idleSince] of this.idleSince.entries()) {
+			if (available <= this.requiredIdle || idleSince > deadline) break;
+
+			log.debug(`Closing a connection of the node «${this.config.host}» that was idle for ${Date.now() - idleSince} ms`);
+
+			this.idleSince.delete(connection);
+			connection.kill();
+			available--;
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* executes one of the maintenance queries of the dialect on
+	* the connection that is idle the longest. the connection is
+	* taken out of the pools while the query is running
+	*
+	* @param {string} queryName the name of the dialect query
+	* @param {string} statement optional, appended to the sql of
+	*				   the query, for example for explain
+	* @param {array} values optional, the values of the statement
+	*
+	* @returns {Promise} the parsed result
+	*/
+	runMaintenanceQuery(queryName, statement, values) {
+		let query = this.dialect && this.dialect[queryName];
+		let connection = this.idleSince.keys().next().value;
+
+		if (!query) return Promise.reject(new Error(`Cannot execute the ${queryName} query, the dialect of the driver does not support it!`));
+		else if (!connection) return Promise.reject(new Error(`Cannot execute the ${queryName} query, the node has no idle connection!`));
+		else {
+			return connection.query(new QueryContext({
+				  sql 	: query.sql+(statement || '')
+				, values : values
+			})).then(rows => query.parse(rows));
+		}
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* updates the replication lag, a busy node keeps the last
+	* known value
+	*/
+	checkReplicationLag() {
+		if (this.ended || this.draining) return;
+
+		this.runMaintenanceQuery('replicationLag').then((lag) => {
+			let lagging = lag > this.maxReplicationLag;
+
+			this.replicationLag = lag;
+			this.replicationLagCheckedAt = Date.now();
+
+			if (lagging !== this.lagging) {
+				this.lagging = lagging;
+
+				if (lagging) log.warn(`The node «${this.config.host}» is lagging ${lag} ms behind, it is not used while other nodes are available`);
+				else log.info(`The node «${this.config.host}» has caught up, it is used again`);
+
+				// a lagging node keeps a connection for the checks
+				this.createConnection();
+			}
+		}).catch((err) => {
+			log.debug(`Failed to check the replication lag of the node «${this.config.host}»: ${err.message}`);
+		});
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* updates the position the node has replicated up to, a busy
+	* node keeps the last known value
+	*/
+	checkPosition() {
+		if (this.ended || this.draining) return;
+
+		this.runMaintenanceQuery('position').then((position) => {
+			this.position = position;
+		}).catch((err) => {
+			log.debug(`Failed to check the position of the node «${this.config.host}»: ${err.message}`);
+		});
+	}
+
+
+
+
+
+
+
+
+
+	/**
+	* checks if the node is the primary or a replica, emits
+	* the «roleChange» event if the role has changed
+	*
+	* @returns {Promise} resolves after the check, never rejects
+	*/
+	checkRole() {
+		if (this.ended || this.draining) return Promise.resolve();
+
+		return this.runMaintenanceQuery('role').then((role) => {
+			if (role !== this.role && !this.ended) {
+				let previousRole = this.role;
+
+				this.role = role;
+
+				log.info(`The node «${this.config.host}» is a ${role}`);
+
+				this.emit('roleChange', role, previousRole);
+			}
+		}).catch((err) => {
+			log.debug(`Failed to check the role of the node «${this.config.host}»: ${err.message}`);
+		});
+	}
+
+
+
+
+
+
+
+
+
 	/**
 	* so, there was a problem with a connection? lets find
 	* out if the host is down or only one connection had its
@@ -342,7 +1091,7 @@ module.exports = class Node extends Events {
 	handleConnectivityProblem() {
 
 		// check if we have to check the nodes connectivity at all
-		if (!this.ended && !this.errorChecking && (Date.now()-this.errorCheckInterval) > this.lastErrorCheck) {
+		if (!this.ended && !this.draining && !this.errorChecking && (Date.now()-this.errorCheckInterval) > this.lastErrorCheck) {
 
 			// so, were trying to execute a very simple query on 
 			// the oldest of all connections, if its dead we're going
@@ -353,10 +1102,15 @@ module.exports = class Node extends Events {
 			this.errorChecking = true;
 			this.lastErrorCheck = Date.now();
 
+			this.setState('degraded', 'checking the connectivity of the host');
+
 
 			// if there arent any connections, trigger the
 			// creation on one, all done with that
-			if (!this.connections.length) this.createConnection();
+			if (!this.connections.length) {
+				this.errorChecking = false;
+				this.createConnection();
+			}
 			else {
 				let hasTimeout = false;
 
@@ -374,23 +1128,26 @@ module.exports = class Node extends Events {
 
 					// the query failed, nuke the host, close all connections
 					// then try to create a new one
-					this.resetNode();
+					this.resetNode(`the connectivity check timed out after ${this.errorCheckTimeout} ms`);
 				}, this.errorCheckTimeout);
 
 
 
 
 				// execute a simple query
-				connection.query({
-						SQL: 'SELECT 1;'
-					, mode: 'query'
-				}).then(() => {
+				connection.query(new QueryContext({
+					sql: 'SELECT 1;'
+				})).then(() => {
 
 					// nice, we're ok
 					this.errorChecking = false;
 
 					// disable the timeout
-					if (!hasTimeout) clearTimeout(checkTimout);
+					if (!hasTimeout) {
+						clearTimeout(checkTimout);
+
+						this.setState('up', 'the connectivity check succeeded');
+					}
 
 				}).catch((err) => {
 					this.errorChecking = false;
@@ -401,7 +1158,7 @@ module.exports = class Node extends Events {
 
 						// the query failed, nuke the host, close all connections
 						// then try to create a new one
-						this.resetNode();
+						this.resetNode(`the connectivity check failed: ${err.message}`);
 					}
 				});
 			}
@@ -417,8 +1174,14 @@ module.exports = class Node extends Events {
 	* closes all connections, tries to establish new ones
 	* this is useful if a host goes down and a filover must
 	* be done
+	*
+	* @param {string} reason why the node is reset
 	*/
-	resetNode() {
+	resetNode(reason) {
+		if (this.ended || this.draining) return;
+
+		this.setState('down', reason);
+
 		log.warn(`The node «${this.config.username}@${this.config.host}:${this.config.port}/${this.config.database}» is shutting down, ending all idle connections, re-initilizing the pool for this host!`);
 
 		// close all connections as soon as possible
@@ -431,12 +1194,15 @@ module.exports = class Node extends Events {
 
 		// set up a new linked list
 		this.connections = new LinkedList();
+		this.idleSince = new Map();
+		this.connectionInfo = new Map();
+		this.replacements = 0;
 
 		// reset counters
 		this.creatingCount = 0;
 
 		this.throttling = true;
-		this.throttleTime = 10;
+		this.backoff.reset();
 
 
 		// request a new connection
@@ -448,20 +1214,80 @@ module.exports = class Node extends Events {
 
 
 
+	/**
+	* stops the creation of new connections. the node ends as 
+	* soon as all its connections have ended. the connections
+	* are not killed here since only the outside knows which of 
+	* them are idle and which ones were handed out to a user.
+	*
+	* @param {number} timeout ms to wait until the node is 
+	*				  ended forcefully
+	*/
+	drain(timeout) {
+		if (!this.ended && !this.draining) {
+			log.info(`The node «${this.config.username}@${this.config.host}:${this.config.port}/${this.config.database}» is draining, ${this.count} connections are left`);
+
+			this.setState('draining', 'the node is beeing removed');
+
+			if (timeout) {
+				this.drainTimeout = setTimeout(() => {
+					log.warn(`The node «${this.config.host}» failed to drain in ${timeout} ms, ending it now`);
+					this.end();
+				}, timeout);
+			}
+
+
+			this.endIfDrained();
+		}
+	}
+
+
+
+
+
+
+	/**
+	* ends a draining node if it has no connections left
+	*/
+	endIfDrained() {
+		if (!this.ended && this.draining && !this.count && !this.creatingCount) this.end();
+	}
+
+
+
+
+
+
 	/**
 		* ends all connections on the host
+		*
+		* @param {boolean} force closes the busy connections right
+		*				  away instead of waiting for their queries
 		*/
-	end() {
+	end(force) {
+		if (this.ended) return;
 
 		this.ended = true;
 
+		clearTimeout(this.drainTimeout);
+		clearTimeout(this.throttleTimer);
+		clearInterval(this.reapTimer);
+		clearInterval(this.lagTimer);
+		clearInterval(this.roleTimer);
+		clearInterval(this.positionTimer);
+
+		this.setState('ended', 'the node was ended');
+
 
 		// close all connections as soon as possible
 		// this will immediatelly end all idle connections
 		// all connections executing a query after that query
 		// has finished and all idle queries not part of the pool
 		// that are not transactions
-		for (let connection of this.connections) connection.kill();
+		for (let connection of this.connections) {
+			if (force) connection.end();
+			else connection.kill();
+		}
 
 
 
@@ -477,6 +1303,29 @@ module.exports = class Node extends Events {
 
 
 
+	/**
+	* changes the state of the node, emits the «stateChange» event.
+	* an ended node cannot change its state anymore, a draining
+	* node can only end.
+	*
+	* @param {string} state the new state
+	* @param {string} reason why the state has changed
+	*/
+	setState(state, reason) {
+		if (state !== this.state && this.state !== 'ended' && (this.state !== 'draining' || state === 'ended')) {
+			let previousState = this.state;
+
+			this.state = state;
+
+			log.debug(`The node «${this.config.host}» changed its state from ${previousState} to ${state}: ${reason}`);
+
+			this.emit('stateChange', state, previousState, reason);
+		}
+	}
+
+
+
+
 	/**
 		* creates a unique connection id
 		*/
@@ -0,0 +1,255 @@
+const LinkedList = require('linkd');
+const Events = require('events');
+
+
+
+/**
+ * a queue for connection requests that serves the requests
+ * with the highest priority first. requests with the same
+ * priority are served in the order they were added.
+ *
+ * waiting requests are aged: for every «aging» ms a request
+ * waits, its priority is increased by one level so that low
+ * priority requests are never starved by a constant stream
+ * of high priority requests.
+ *
+ * the queue implements the parts of the linkd api the cluster
+ * uses for its queues: push, has, remove, shift, getLast,
+ * length, iteration and the «drain» event.
+ */
+
+
+
+module.exports = class PriorityQueue extends Events {
+
+
+    // the number of requests in the queue
+    get length() {
+        return this.priorities.size;
+    }
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options
+     * @param {number} options.aging ms after which a waiting request
+     *                 gains one priority level, 0 disables aging
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this.aging = options.aging === undefined ? PriorityQueue.defaultAging : options.aging;
+
+        if (typeof this.aging !== 'number' || this.aging < 0) throw new Error(`The priority aging must be a positive number of ms, got «${this.aging}»!`);
+
+
+        // one fifo list per priority level
+        this.levels = new Map();
+
+        // the priority of each request by its id
+        this.priorities = new Map();
+    }
+
+
+
+
+
+
+    /**
+     * adds a request to the queue
+     *
+     * @param {symbol} id the id of the request
+     * @param {ConnectionRequest} request
+     */
+    push(id, request) {
+        const priority = request.priority || 0;
+
+        if (this.priorities.has(id)) throw new Error('Cannot add the request, it is already queued!');
+
+        if (!this.levels.has(priority)) this.levels.set(priority, new LinkedList());
+
+        this.levels.get(priority).push(id, request);
+        this.priorities.set(id, priority);
+    }
+
+
+
+
+
+
+    /**
+     * checks if a request is queued
+     *
+     * @param {symbol} id the id of the request
+     *
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.priorities.has(id);
+    }
+
+
+
+
+
+
+    /**
+     * removes a request from the queue
+     *
+     * @param {symbol} id the id of the request
+     *
+     * @returns {ConnectionRequest}
+     */
+    remove(id) {
+        if (!this.priorities.has(id)) throw new Error('Cannot remove the request, it is not queued!');
+
+        const priority = this.priorities.get(id);
+        const level = this.levels.get(priority);
+        const request = level.remove(id);
+
+        this.priorities.delete(id);
+
+        if (!level.length) this.levels.delete(priority);
+        if (!this.length) this.emit('drain');
+
+        return request;
+    }
+
+
+
+
+
+
+    /**
+     * removes the request that must be served next
+     *
+     * @param {function} accept optional, returns false for 
+     *                   requests that must be skipped
+     *
+     * @returns {ConnectionRequest|undefined}
+     */
+    shift(accept) {
+        const next = this.peek(accept);
+
+        if (next) this.remove(next.id);
+
+        return next;
+    }
+
+
+
+
+
+
+    /**
+     * returns the request that must be served next without
+     * removing it
+     *
+     * @param {function} accept optional, returns false for 
+     *                   requests that must be skipped
+     *
+     * @returns {ConnectionRequest|undefined}
+     */
+    peek(accept) {
+        const now = Date.now();
+        let next;
+        let nextPriority;
+
+        // the oldest request of each level competes with
+        // its aged priority
+        for (const [priority, level] of this.levels.entries()) {
+            const request = accept ? this.getOldestAccepted(level, accept) : level.getLast(true);
+
+            if (!request) continue;
+
+            const effectivePriority = priority + (this.aging ? Math.floor((now - request.created)/this.aging) : 0);
+
+            if (!next || effectivePriority > nextPriority || (effectivePriority === nextPriority && request.created < next.created)) {
+                next = request;
+                nextPriority = effectivePriority;
+            }
+        }
+
+        return next;
+    }
+
+
+
+
+
+
+    /**
+     * returns the oldest request of a level that is accepted
+     *
+     * @param {LinkedList} level
+     * @param {function} accept
+     *
+     * @returns {ConnectionRequest|undefined}
+     */
+    getOldestAccepted(level, accept) {
+
+        // walk from the oldest to the newest item
+        for (let node = level.getLastNode(true); node; node = node.nextNode) {
+            if (accept(node.value)) return node.value;
+        }
+    }
+
+
+
+
+
+
+    /**
+     * returns the oldest request regardless of its priority,
+     * the signature matches the one of linkd
+     *
+     * @returns {ConnectionRequest|undefined}
+     */
+    getLast() {
+        let oldest;
+
+        for (const level of this.levels.values()) {
+            const request = level.getLast(true);
+            if (!oldest || request.created < oldest.created) oldest = request;
+        }
+
+        return oldest;
+    }
+
+
+
+
+
+
+    /**
+     * iterates over a snapshot of the requests, they
+     * may be removed while iterating
+     */
+    *[Symbol.iterator]() {
+        const requests = [];
+
+        for (const level of this.levels.values()) {
+            for (const request of level) requests.push(request);
+        }
+
+        yield* requests;
+    }
+
+
+
+
+
+
+    /**
+     * ms after which a waiting request gains one
+     * priority level
+     */
+    static get defaultAging() {
+        return 1000;
+    }
+};
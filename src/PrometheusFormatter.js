@@ -0,0 +1,218 @@
+/**
+ * renders the snapshot returned by cluster.getStats()
+ * in the prometheus text exposition format. times are
+ * converted to seconds.
+ */
+
+
+
+module.exports = class PrometheusFormatter {
+
+    // the prefix for all metric names
+    prefix = 'related_db_cluster';
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options
+     * @param {string} options.prefix the prefix for the metric names
+     */
+    constructor(options) {
+        if (options && options.prefix) this.prefix = options.prefix;
+    }
+
+
+
+
+
+
+    /**
+     * renders a stats snapshot
+     *
+     * @param {object} stats the snapshot returned by cluster.getStats()
+     *
+     * @returns {string}
+     */
+    format(stats) {
+        const lines = [];
+
+
+        // the statuses don't overlap, their sum is the number of
+        // executed queries
+        this.addMetric(lines, 'queries_total', 'counter', 'Number of queries executed by the cluster', [
+              [{status: 'succeeded'}, stats.queries.succeeded]
+            , [{status: 'failed'}, stats.queries.failed]
+        ]);
+
+        this.addMetric(lines, 'queue_length_total', 'gauge', 'Number of requests waiting for a connection', [
+            [{}, stats.queueLength]
+        ]);
+
+        this.addMetric(lines, 'queue_max_length', 'gauge', 'Max number of requests that may wait for a connection', [
+            [{}, stats.maxQueueLength]
+        ]);
+
+        this.addMetric(lines, 'pool_idle_connections', 'gauge', 'Number of idle connections per pool', stats.pools.map((pool) => {
+            return [{pool: pool.name}, pool.idle];
+        }));
+
+        this.addMetric(lines, 'queue_length', 'gauge', 'Number of requests per queue', stats.queues.map((queue) => {
+            return [{queue: queue.name}, queue.length];
+        }));
+
+        this.addMetric(lines, 'queue_oldest_wait_seconds', 'gauge', 'Age of the oldest request per queue', stats.queues.map((queue) => {
+            return [{queue: queue.name}, queue.oldestWait/1000];
+        }));
+
+
+        const nodeLabels = (node) => ({host: node.host, port: node.port, database: node.database, pools: node.pools.join(',')});
+
+        this.addMetric(lines, 'node_up', 'gauge', 'Whether the node is up', stats.nodes.map((node) => {
+            return [nodeLabels(node), node.state === 'up' ? 1 : 0];
+        }));
+
+        this.addMetric(lines, 'node_circuit_open', 'gauge', 'Whether the circuit breaker of the node is open', stats.nodes.map((node) => {
+            return [nodeLabels(node), node.circuitOpen ? 1 : 0];
+        }));
+
+        this.addMetric(lines, 'node_connections', 'gauge', 'Number of open connections per node', stats.nodes.map((node) => {
+            return [nodeLabels(node), node.connections];
+        }));
+
+        this.addMetric(lines, 'node_idle_connections', 'gauge', 'Number of idle connections per node', stats.nodes.map((node) => {
+            return [nodeLabels(node), node.idleConnections];
+        }));
+
+        this.addMetric(lines, 'node_creating_connections', 'gauge', 'Number of connections being created per node', stats.nodes.map((node) => {
+            return [nodeLabels(node), node.creatingConnections];
+        }));
+
+        this.addMetric(lines, 'node_max_connections', 'gauge', 'Max number of connections per node', stats.nodes.map((node) => {
+            return [nodeLabels(node), node.maxConnections];
+        }));
+
+        this.addMetric(lines, 'node_replication_lag_seconds', 'gauge', 'Replication lag of the node', stats.nodes.filter(node => node.replicationLag !== null).map((node) => {
+            return [nodeLabels(node), node.replicationLag/1000];
+        }));
+
+        this.addMetric(lines, 'node_connection_failures_total', 'counter', 'Number of failed connection attempts per node', stats.nodes.map((node) => {
+            return [nodeLabels(node), node.connectionFailures];
+        }));
+
+
+        this.addHistogram(lines, 'wait_time_seconds', 'Time requests waited for a connection', stats.waitTime);
+        this.addHistogram(lines, 'query_duration_seconds', 'Duration of the executed queries', stats.queryDuration);
+
+        return lines.join('\n')+'\n';
+    }
+
+
+
+
+
+
+    /**
+     * adds a metric with its samples
+     *
+     * @param {array} lines the output
+     * @param {string} name the name of the metric
+     * @param {string} type counter or gauge
+     * @param {string} help the description
+     * @param {array} samples [labels, value] pairs
+     */
+    addMetric(lines, name, type, help, samples) {
+        name = `${this.prefix}_${name}`;
+
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+
+        for (const [labels, value] of samples) {
+            lines.push(`${name}${this.renderLabels(labels)} ${this.renderValue(value)}`);
+        }
+    }
+
+
+
+
+
+
+    /**
+     * adds a histogram snapshot, converts the ms to seconds
+     *
+     * @param {array} lines the output
+     * @param {string} name the name of the metric
+     * @param {string} help the description
+     * @param {object} histogram the histogram snapshot
+     */
+    addHistogram(lines, name, help, histogram) {
+        name = `${this.prefix}_${name}`;
+
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} histogram`);
+
+        for (const bucket of histogram.buckets) {
+            const le = bucket.le === Infinity ? '+Inf' : bucket.le/1000+'';
+            lines.push(`${name}_bucket${this.renderLabels({le: le})} ${bucket.count}`);
+        }
+
+        lines.push(`${name}_sum ${this.renderValue(histogram.sum/1000)}`);
+        lines.push(`${name}_count ${histogram.count}`);
+    }
+
+
+
+
+
+
+    /**
+     * renders the labels of a sample
+     *
+     * @param {object} labels
+     *
+     * @returns {string}
+     */
+    renderLabels(labels) {
+        const keys = Object.keys(labels).filter(key => labels[key] !== undefined && labels[key] !== null);
+
+        if (!keys.length) return '';
+        else return `{${keys.map(key => `${key}="${this.escapeLabel(labels[key])}"`).join(',')}}`;
+    }
+
+
+
+
+
+
+    /**
+     * escapes a label value
+     *
+     * @param {*} value
+     *
+     * @returns {string}
+     */
+    escapeLabel(value) {
+        return (value+'').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    }
+
+
+
+
+
+
+    /**
+     * renders a sample value
+     *
+     * @param {number} value
+     *
+     * @returns {string}
+     */
+    renderValue(value) {
+        if (value === Infinity) return '+Inf';
+        else if (value === -Infinity) return '-Inf';
+        else if (typeof value !== 'number' || isNaN(value)) return 'NaN';
+        else return value+'';
+    }
+};
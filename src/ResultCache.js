@@ -0,0 +1,322 @@
+const LRUStore = require('./LRUStore.js');
+
+
+
+/**
+ * caches the results of read queries. the entries are keyed by
+ * the pool, the rendered sql and the values of a query.
+ *
+ * each entry remembers the tables it depends on. writes bump
+ * the version of the tables they touch, entries that were
+ * created for an older version of one of their tables are not
+ * returned anymore. this works for any store without having
+ * to find the entries of a table in the store.
+ *
+ * the tables are taken from the ast of a query, from its sql
+ * or from the tables property of the cache options.
+ */
+
+
+
+// the first table of a statement that changes data
+const writePattern = /^\s*(?:insert\s+(?:ignore\s+)?into|replace\s+into|update(?:\s+only)?|delete\s+from|truncate(?:\s+table)?|alter\s+table|drop\s+table(?:\s+if\s+exists)?)\s+([^\s(,;]+)/i;
+
+// the tables a select reads from
+const readPattern = /\b(?:from|join)\s+([^\s(,;]+)/gi;
+
+// statements that don't change anything
+const readOnlyPattern = /^\s*(?:select|show|explain)\b/i;
+
+
+
+module.exports = class ResultCache {
+
+
+    // the number of queries answered from the cache
+    hits = 0;
+
+    // the number of cacheable queries that were not cached
+    misses = 0;
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options
+     * @param {object} options.store the store, defaults to a LRUStore
+     * @param {number} options.maxEntries the max number of entries
+     *                 of the default store
+     * @param {number} options.ttl default ms an entry is valid
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.ttl = options.ttl === undefined ? 60000 : options.ttl;
+        this.store = options.store || new LRUStore({maxEntries: options.maxEntries});
+
+        if (!(this.ttl > 0)) throw new Error(`The ttl of the result cache must be a positive number of ms, got «${this.ttl}»!`);
+
+        for (const method of ['get', 'set', 'delete', 'clear']) {
+            if (typeof this.store[method] !== 'function') throw new Error(`The result cache store must implement the ${method}() method!`);
+        }
+
+
+        // the version of each table, bumped on writes
+        this.versions = new Map();
+
+        // bumped by writes that touch unknown tables
+        this.version = 0;
+    }
+
+
+
+
+
+
+    /**
+     * returns the cached result of a query
+     *
+     * @param {object} queryContext
+     *
+     * @returns {Promise} resolves to the result or undefined
+     */
+    get(queryContext) {
+        const key = this.getKey(queryContext);
+
+        return Promise.resolve(this.store.get(key)).then((entry) => {
+            if (entry && this.isCurrent(entry.versions)) {
+                this.hits++;
+                return entry.data;
+            }
+            else {
+                this.misses++;
+
+                // outdated entries are not used anymore
+                if (entry) return Promise.resolve(this.store.delete(key)).then(() => undefined);
+            }
+        });
+    }
+
+
+
+
+
+
+    /**
+     * stores the result of a query
+     *
+     * @param {object} queryContext
+     * @param {*} data the result
+     * @param {object} versions the versions of the tables when
+     *                 the query was started, see getVersions
+     *
+     * @returns {Promise}
+     */
+    set(queryContext, data, versions) {
+
+        // the tables were changed while the query was running
+        if (!this.isCurrent(versions)) return Promise.resolve();
+
+        const options = this.getOptions(queryContext);
+
+        return Promise.resolve(this.store.set(this.getKey(queryContext), {data: data, versions: versions}, options.ttl));
+    }
+
+
+
+
+
+
+    /**
+     * returns the current versions of the tables a query
+     * depends on
+     *
+     * @param {object} queryContext
+     *
+     * @returns {object}
+     */
+    getVersions(queryContext) {
+        const tables = {};
+
+        for (const table of this.getOptions(queryContext).tables) tables[table] = this.versions.get(table) || 0;
+
+        return {version: this.version, tables: tables};
+    }
+
+
+
+
+
+
+    /**
+     * checks if the versions of an entry are up to date
+     *
+     * @param {object} versions
+     *
+     * @returns {boolean}
+     */
+    isCurrent(versions) {
+        if (versions.version !== this.version) return false;
+
+        for (const table of Object.keys(versions.tables)) {
+            if ((this.versions.get(table) || 0) !== versions.tables[table]) return false;
+        }
+
+        return true;
+    }
+
+
+
+
+
+
+    /**
+     * invalidates the entries that depend on tables
+     *
+     * @param {array} tables the names of the tables, all entries
+     *                are invalidated if the array is empty
+     */
+    invalidate(tables) {
+        if (!tables.length) this.version++;
+        else {
+            for (const table of tables) {
+                const name = ResultCache.normalize(table);
+                this.versions.set(name, (this.versions.get(name) || 0) + 1);
+            }
+        }
+    }
+
+
+
+
+
+
+    /**
+     * invalidates the entries that depend on the tables a
+     * write query has changed. if they are not known, all
+     * entries are invalidated
+     *
+     * @param {object} queryContext
+     */
+    invalidateQuery(queryContext) {
+        if (!ResultCache.isReadOnly(queryContext)) this.invalidate(ResultCache.getTables(queryContext));
+    }
+
+
+
+
+
+
+    /**
+     * returns the ttl and tables of a cacheable query. the
+     * cache property of the query context is either true,
+     * the ttl or an object with the ttl and tables properties
+     *
+     * @param {object} queryContext
+     *
+     * @returns {object}
+     */
+    getOptions(queryContext) {
+        const cache = queryContext.cache;
+        const options = typeof cache === 'object' && cache !== null ? cache : {};
+        const ttl = typeof cache === 'number' ? cache : (options.ttl === undefined ? this.ttl : options.ttl);
+
+        return {
+              ttl: ttl
+            , tables: (options.tables || ResultCache.getTables(queryContext)).map(ResultCache.normalize)
+        };
+    }
+
+
+
+
+
+
+    /**
+     * returns the cache key of a query
+     *
+     * @param {object} queryContext
+     *
+     * @returns {string}
+     */
+    getKey(queryContext) {
+        return JSON.stringify([queryContext.pool, queryContext.sql, queryContext.values === undefined ? null : queryContext.values]);
+    }
+
+
+
+
+
+
+    /**
+     * returns the names of the tables of a query. they are
+     * taken from the ast if there is one, else from the sql
+     *
+     * @param {object} queryContext
+     *
+     * @returns {array}
+     */
+    static getTables(queryContext) {
+        const tables = new Set();
+
+        if (queryContext.ast) {
+            const walk = (node) => {
+                if (Array.isArray(node)) node.forEach(walk);
+                else if (typeof node === 'object' && node !== null) {
+                    if (typeof node.entity === 'string') tables.add(ResultCache.normalize(node.entity));
+
+                    for (const key of Object.keys(node)) walk(node[key]);
+                }
+            };
+
+            walk(queryContext.ast);
+        }
+        else if (typeof queryContext.sql === 'string') {
+            const write = writePattern.exec(queryContext.sql);
+
+            if (write) tables.add(ResultCache.normalize(write[1]));
+            else {
+                for (const match of queryContext.sql.matchAll(readPattern)) tables.add(ResultCache.normalize(match[1]));
+            }
+        }
+
+        return Array.from(tables);
+    }
+
+
+
+
+
+
+    /**
+     * checks if a query does not change any data
+     *
+     * @param {object} queryContext
+     *
+     * @returns {boolean}
+     */
+    static isReadOnly(queryContext) {
+        if (queryContext.ast) return queryContext.ast.kind === 'selectQuery';
+        else return readOnlyPattern.test(queryContext.sql || '');
+    }
+
+
+
+
+
+
+    /**
+     * removes the quotes and the schema from a table name
+     *
+     * @param {string} table
+     *
+     * @returns {string}
+     */
+    static normalize(table) {
+        const parts = String(table).split('.');
+
+        return parts[parts.length - 1].replace(/["`\[\]]/g, '').toLowerCase();
+    }
+};
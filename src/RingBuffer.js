@@ -0,0 +1,81 @@
+/**
+ * a buffer with a fixed capacity. if it is full, the oldest
+ * item is overwritten by the next item.
+ */
+
+
+
+module.exports = class RingBuffer {
+
+
+    // the number of items in the buffer
+    length = 0;
+
+    // the position the next item is written to
+    position = 0;
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {number} capacity the max number of items
+     */
+    constructor(capacity) {
+        if (!Number.isInteger(capacity) || capacity < 1) throw new Error(`The capacity of the ring buffer must be a positive integer, got «${capacity}»!`);
+
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+    }
+
+
+
+
+
+
+    /**
+     * adds an item, replaces the oldest item if the buffer is full
+     *
+     * @param {*} item
+     */
+    push(item) {
+        this.items[this.position] = item;
+        this.position = (this.position + 1) % this.capacity;
+
+        if (this.length < this.capacity) this.length++;
+    }
+
+
+
+
+
+
+    /**
+     * returns the items from the oldest to the newest
+     *
+     * @returns {array}
+     */
+    toArray() {
+        const start = (this.position - this.length + this.capacity) % this.capacity;
+        const items = [];
+
+        for (let i = 0; i < this.length; i++) items.push(this.items[(start + i) % this.capacity]);
+
+        return items;
+    }
+
+
+
+
+
+
+    /**
+     * removes all items
+     */
+    clear() {
+        this.items = new Array(this.capacity);
+        this.length = 0;
+        this.position = 0;
+    }
+};
@@ -0,0 +1,60 @@
+const ResultCache = require('./ResultCache.js');
+
+
+
+/**
+ * a session routes its reads so that they see the writes
+ * executed before by the same session. the consistency
+ * token of the last write is passed to all later queries
+ * of the session.
+ */
+
+
+
+module.exports = class Session {
+
+
+    // the token of the last write of the session
+    consistencyToken = null;
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {Cluster} cluster the cluster the queries are executed on
+     */
+    constructor(cluster) {
+        this.cluster = cluster;
+    }
+
+
+
+
+
+
+    /**
+     * executes a query, see cluster.query
+     *
+     * @param {object} queryContext the query definition
+     * @param {object} options see cluster.query
+     *
+     * @returns {Promise}
+     */
+    query(queryContext, options) {
+        options = Object.assign({}, options);
+
+        if (queryContext.pool === this.cluster.writePool) {
+            // reads on the write pool don't move the token
+            if (options.trackConsistency === undefined) options.trackConsistency = !ResultCache.isReadOnly(queryContext);
+        }
+        else if (!options.consistencyToken) options.consistencyToken = this.consistencyToken;
+
+        return this.cluster.query(queryContext, options).then((data) => {
+            if (queryContext.consistencyToken) this.consistencyToken = queryContext.consistencyToken;
+
+            return data;
+        });
+    }
+};
@@ -0,0 +1,279 @@
+const QueryContext = require('related-query-context');
+
+
+
+/**
+ * a transaction on a connection that was taken out of the
+ * pools. its queries are executed in order on that connection,
+ * nested transactions use savepoints.
+ *
+ * transactions are created by cluster.transaction which
+ * commits or rolls them back after the callback has finished.
+ */
+
+
+
+module.exports = class Transaction {
+
+
+    // true after the commit or the rollback
+    ended = false;
+
+    // the number of savepoints created so far
+    savepointCount = 0;
+
+    // the queries executed by the user, the cluster 
+    // invalidates its result cache using them
+    queries = [];
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {Cluster} cluster the cluster the transaction belongs to
+     * @param {connection} connection the connection of the transaction
+     * @param {string} savepoint optional, the savepoint of a nested
+     *                 transaction
+     * @param {Transaction} parent optional, the enclosing transaction
+     */
+    constructor(cluster, connection, savepoint, parent) {
+        this.cluster = cluster;
+        this.connection = connection;
+        this.savepoint = savepoint || null;
+        this.parent = parent || null;
+    }
+
+
+
+
+
+
+    /**
+     * executes a query as part of the transaction
+     *
+     * @param {object|string} queryContext the query definition or sql
+     * @param {array} values optional, the values for sql queries
+     *
+     * @returns {Promise}
+     */
+    query(queryContext, values) {
+        if (typeof queryContext === 'string') {
+            queryContext = new QueryContext({
+                  sql     : queryContext
+                , values  : values
+            });
+        }
+
+        return this.execute(queryContext).then((data) => {
+            this.getRoot().queries.push(queryContext);
+
+            return data;
+        });
+    }
+
+
+
+
+
+
+    /**
+     * executes a query on the connection of the transaction
+     *
+     * @param {object|string} queryContext the query definition or sql
+     *
+     * @returns {Promise}
+     */
+    execute(queryContext) {
+        if (this.ended) return Promise.reject(new Error('Cannot execute the query, the transaction has ended!'));
+        else if (this.parent && this.parent.ended) return Promise.reject(new Error('Cannot execute the query, the enclosing transaction has ended!'));
+        else {
+            if (typeof queryContext === 'string') queryContext = new QueryContext({sql: queryContext});
+
+            return this.cluster.renderQuery(this.connection, queryContext).then(() => {
+                return this.cluster.executeQuery(this.connection, queryContext);
+            });
+        }
+    }
+
+
+
+
+
+
+    /**
+     * executes the callback in a nested transaction. it is
+     * rolled back to its savepoint if the callback fails, the
+     * error is passed on to the caller
+     *
+     * @param {function} callback gets the nested transaction,
+     *                   may return a promise
+     *
+     * @returns {Promise} resolves to the return value of the callback
+     */
+    transaction(callback) {
+        if (typeof callback !== 'function') return Promise.reject(new Error('The transaction callback must be a function!'));
+        else if (this.ended) return Promise.reject(new Error('Cannot create a savepoint, the transaction has ended!'));
+        else {
+            const root = this.getRoot();
+            const savepoint = `related_savepoint_${++root.savepointCount}`;
+            const nested = new Transaction(this.cluster, this.connection, savepoint, this);
+
+            return this.execute(`SAVEPOINT ${savepoint};`).then(() => {
+                return Promise.resolve().then(() => callback(nested));
+            }).then((result) => {
+                return nested.end(`RELEASE SAVEPOINT ${savepoint};`).then(() => result);
+            }).catch((err) => {
+                if (nested.ended) return Promise.reject(err);
+                else {
+                    return nested.end(`ROLLBACK TO SAVEPOINT ${savepoint};`).then(() => {
+                        return Promise.reject(err);
+                    });
+                }
+            });
+        }
+    }
+
+
+
+
+
+
+    /**
+     * executes the statements that start the transaction
+     *
+     * @param {object} options
+     * @param {string} options.isolation the isolation level
+     * @param {boolean} options.readOnly
+     *
+     * @returns {Promise}
+     */
+    begin(options) {
+        const dialect = this.cluster.dialect;
+        const statements = dialect && dialect.startTransaction ? dialect.startTransaction(options) : Transaction.startTransaction(options);
+
+        return statements.reduce((promise, sql) => promise.then(() => this.execute(sql)), Promise.resolve());
+    }
+
+
+
+
+
+
+    /**
+     * commits the transaction
+     *
+     * @returns {Promise}
+     */
+    commit() {
+        return this.end('COMMIT;');
+    }
+
+
+
+
+
+
+    /**
+     * rolls the transaction back
+     *
+     * @returns {Promise}
+     */
+    rollback() {
+        return this.end('ROLLBACK;');
+    }
+
+
+
+
+
+
+    /**
+     * executes the last statement of the transaction
+     *
+     * @param {string} sql
+     *
+     * @returns {Promise}
+     */
+    end(sql) {
+        return this.execute(sql).then(() => {
+            this.ended = true;
+        }).catch((err) => {
+            this.ended = true;
+
+            return Promise.reject(err);
+        });
+    }
+
+
+
+
+
+
+    /**
+     * returns the outermost transaction
+     *
+     * @returns {Transaction}
+     */
+    getRoot() {
+        return this.parent ? this.parent.getRoot() : this;
+    }
+
+
+
+
+
+
+    /**
+     * checks if an error was caused by a serialization failure
+     * or a deadlock. the transaction can be retried after those
+     *
+     * @param {Error} err
+     *
+     * @returns {boolean}
+     */
+    static isRetryable(err) {
+        if (!err) return false;
+
+        const sqlState = err.sqlState || err.code;
+
+        // 1213: ER_LOCK_DEADLOCK (mysql)
+        return sqlState === '40001' || sqlState === '40P01' || err.errno === 1213 || err.code === 'ER_LOCK_DEADLOCK';
+    }
+
+
+
+
+
+
+    /**
+     * the statements that start a transaction in standard sql
+     *
+     * @param {object} options
+     * @param {string} options.isolation the isolation level
+     * @param {boolean} options.readOnly
+     *
+     * @returns {array}
+     */
+    static startTransaction(options) {
+        const modes = [];
+
+        if (options.isolation) modes.push(`ISOLATION LEVEL ${options.isolation.toUpperCase()}`);
+        if (options.readOnly) modes.push('READ ONLY');
+
+        return [`START TRANSACTION${modes.length ? ' '+modes.join(', ') : ''};`];
+    }
+
+
+
+
+
+
+    /**
+     * the supported isolation levels
+     */
+    static get isolationLevels() {
+        return ['read uncommitted', 'read committed', 'repeatable read', 'serializable'];
+    }
+};
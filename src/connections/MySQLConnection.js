@@ -0,0 +1,67 @@
+const mysql = require('mysql');
+const Connection = require('related-mysql-connection');
+
+
+const log = require('logd').module('MySQLConnection');
+
+
+
+/**
+ * the mysql connection of the related-mysql-connection
+ * package, the client is created with the ssl settings of the
+ * node. ssl is either true or an object with the tls options,
+ * see the sslmode mapping of the DSN parser.
+ */
+
+
+
+module.exports = class MySQLConnection extends Connection {
+
+
+    /**
+     * creates the client, the connections without ssl
+     * are created by the driver itself
+     *
+     * @param {object} config the configuration of the node
+     * @param {function} callback called when the client has connected
+     */
+    driverConnect(config, callback) {
+        if (!config.ssl) return super.driverConnect(config, callback);
+
+        if (!config.port) config.port = 3306;
+        if (!config.username) config.username = 'root';
+
+        log.debug(`Connecting to ${config.host}:${config.port} using tls`);
+
+        this.connection = mysql.createConnection({
+              bigNumberStrings  : true
+            , supportBigNumbers : true
+            , debug             : false
+            , user              : config.username
+            , password          : config.password
+            , host              : config.host
+            , port              : config.port
+            , ssl               : config.ssl === true ? {} : config.ssl
+        });
+
+
+        this.connection.connect();
+
+
+        // remove dead connections from the pool
+        this.connection.on('error', (err) => {
+            this.connection.end();
+            delete this.connection;
+
+            // used by super to reset the running queries
+            this.emit('error', err);
+
+            this.end(err);
+        });
+
+
+        this.connection.query('SELECT 1;', (err) => {
+            callback(err);
+        });
+    }
+};
@@ -0,0 +1,84 @@
+const pg = require('pg');
+const RelatedError = require('related-error');
+const Connection = require('related-postgres-connection');
+
+
+const log = require('logd').module('PostgresConnection');
+
+
+
+/**
+ * the postgres connection of the related-postgres-connection
+ * package, the client is created with the ssl settings of the
+ * node. ssl is either true or an object with the tls options,
+ * see the sslmode mapping of the DSN parser.
+ */
+
+
+
+module.exports = class PostgresConnection extends Connection {
+
+
+    /**
+     * creates the client, the connections without ssl
+     * are created by the driver itself
+     *
+     * @param {object} config the configuration of the node
+     * @param {function} callback called when the client has connected
+     */
+    driverConnect(config, callback) {
+        if (!config.ssl) return super.driverConnect(config, callback);
+
+        if (!config.port) config.port = 5432;
+        if (!config.username) config.username = 'postgres';
+
+        log.debug(`Connecting to ${config.host}:${config.port} using tls`);
+
+        this.connection = new pg.Client({
+              user        : config.username
+            , password    : config.password
+            , host        : config.host
+            , port        : config.port
+            , database    : config.database
+            , ssl         : config.ssl
+        });
+
+
+        this.connection.connect((err) => {
+            if (err) {
+                if (err.code === '28P01') err = new RelatedError.InvalidCredentialsError(err);
+                else if (PostgresConnection.networkErrorCodes.includes(err.code)) err = new RelatedError.FailedToConnectError(err);
+            }
+
+            callback(err);
+        });
+
+
+        // remove dead connections from the pool
+        this.connection.on('error', (err) => {
+            if (PostgresConnection.networkErrorCodes.includes(err.code)) err = new RelatedError.FailedToConnectError(err);
+
+            this.connection.end();
+            delete this.connection;
+
+            // used by super to reset the running queries
+            this.emit('error', err);
+
+            this.end(err);
+        });
+    }
+
+
+
+
+
+
+    /**
+     * the error codes the driver reports as failed connections
+     *
+     * @returns {string[]}
+     */
+    static get networkErrorCodes() {
+        return ['ECONNREFUSED', 'ENETUNREACH', 'ECONNRESET', 'EHOSTUNREACH'];
+    }
+};
@@ -0,0 +1,102 @@
+/**
+ * maintenance queries the cluster executes on mysql nodes.
+ * each query has the sql and a parse function that extracts the
+ * value from the returned rows.
+ *
+ * startTransaction returns the statements that start a
+ * transaction, see Transaction.startTransaction.
+ */
+
+
+
+// parses a gtid set (uuid:1-5:7,uuid:1-3) into a map
+// of uuids with their transaction intervals
+const parseGTIDSet = (set) => {
+    const gtids = new Map();
+
+    for (const part of String(set).replace(/\s/g, '').split(',')) {
+        if (!part) continue;
+
+        const [uuid, ...intervals] = part.split(':');
+
+        gtids.set(uuid.toLowerCase(), intervals.map((interval) => {
+            const [start, end] = interval.split('-').map(Number);
+            return [start, end === undefined ? start : end];
+        }));
+    }
+
+    return gtids;
+};
+
+
+
+module.exports = {
+
+    // the port the driver connects to if none is set
+    defaultPort: 3306
+
+
+    // the replication lag in ms, 0 on a primary. if the
+    // replication is not running the lag is unknown
+    , replicationLag: {
+          sql: 'SHOW REPLICA STATUS;'
+        , parse: (rows) => {
+            const row = rows[0];
+
+            if (!row) return 0;
+
+            const seconds = row.Seconds_Behind_Source !== undefined ? row.Seconds_Behind_Source : row.Seconds_Behind_Master;
+
+            if (seconds === null || seconds === undefined) return Infinity;
+            else return Number(seconds)*1000;
+        }
+    }
+
+
+    // the plan of a statement, the statement is appended
+    , explain: {
+          sql: 'EXPLAIN FORMAT=JSON '
+        , parse: rows => JSON.parse(rows[0].EXPLAIN)
+    }
+
+
+    // primary or replica, replicas are read only
+    , role: {
+          sql: 'SELECT @@read_only AS `readOnly`;'
+        , parse: rows => Number(rows[0].readOnly) ? 'replica' : 'primary'
+    }
+
+
+    // the executed gtid set of the node. hasReached checks if
+    // all transactions of the target were executed
+    , position: {
+          sql: 'SELECT @@GLOBAL.gtid_executed AS `position`;'
+        , parse: rows => rows[0].position
+        , hasReached: (position, target) => {
+            const executed = parseGTIDSet(position);
+
+            for (const [uuid, intervals] of parseGTIDSet(target)) {
+                const executedIntervals = executed.get(uuid) || [];
+
+                for (const [start, end] of intervals) {
+                    if (!executedIntervals.some(([s, e]) => s <= start && e >= end)) return false;
+                }
+            }
+
+            return true;
+        }
+    }
+
+
+    // mysql does not accept the isolation level in the start
+    // transaction statement, it is set for the next transaction
+    , startTransaction: (options) => {
+        const statements = [];
+
+        if (options.isolation) statements.push(`SET TRANSACTION ISOLATION LEVEL ${options.isolation.toUpperCase()};`);
+
+        statements.push(`START TRANSACTION${options.readOnly ? ' READ ONLY' : ''};`);
+
+        return statements;
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * maintenance queries the cluster executes on postgres nodes.
+ * each query has the sql and a parse function that extracts the
+ * value from the returned rows.
+ */
+
+
+
+// converts a log sequence number (16/B374D848) to a bigint
+const parseLSN = (lsn) => {
+    const parts = String(lsn).split('/');
+    return (BigInt(`0x${parts[0]}`) << 32n) + BigInt(`0x${parts[1] || 0}`);
+};
+
+
+
+module.exports = {
+
+    // the port the driver connects to if none is set
+    defaultPort: 5432
+
+
+    // the replication lag in ms, 0 on the primary or if all
+    // received changes have been replayed
+    , replicationLag: {
+          sql: `SELECT pg_is_in_recovery() AS "isReplica", pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() AS "isSynced", EXTRACT(EPOCH FROM (now() - pg_last_xact_replay_timestamp())) * 1000 AS "lag";`
+        , parse: (rows) => {
+            const row = rows[0] || {};
+
+            if (!row.isReplica || row.isSynced) return 0;
+            else if (row.lag === null || row.lag === undefined) return Infinity;
+            else return Math.max(0, Number(row.lag));
+        }
+    }
+
+
+    // the plan of a statement, the statement is appended
+    , explain: {
+          sql: 'EXPLAIN (FORMAT JSON) '
+        , parse: rows => rows[0]['QUERY PLAN']
+    }
+
+
+    // primary or replica
+    , role: {
+          sql: 'SELECT pg_is_in_recovery() AS "isReplica";'
+        , parse: rows => rows[0].isReplica ? 'replica' : 'primary'
+    }
+
+
+    // the position in the write ahead log the node has written
+    // or replayed. hasReached checks if a position has reached 
+    // another one
+    , position: {
+          sql: 'SELECT (CASE WHEN pg_is_in_recovery() THEN pg_last_wal_replay_lsn() ELSE pg_current_wal_lsn() END)::text AS "position";'
+        , parse: rows => rows[0].position
+        , hasReached: (position, target) => parseLSN(position) >= parseLSN(target)
+    }
+};
@@ -0,0 +1,93 @@
+const dns = require('dns');
+const DiscoveryProvider = require('./DiscoveryProvider.js');
+
+
+
+/**
+ * polls the hosts from dns. SRV records provide the host and
+ * the port, A and AAAA records the addresses, they use the
+ * port of the options.
+ *
+ * the resolver can be replaced, for example by a stub in tests.
+ * it must implement the resolveSrv, resolve4 or resolve6 methods
+ * of dns.promises.Resolver. the servers option points the
+ * default resolver to other dns servers, like a local stub.
+ */
+
+
+
+module.exports = class DNSProvider extends DiscoveryProvider {
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options see DiscoveryProvider
+     * @param {string} options.name the name to resolve
+     * @param {string} options.type SRV, A or AAAA, defaults to A
+     * @param {number} options.port the port of A and AAAA hosts
+     * @param {object} options.resolver optional, the resolver
+     * @param {array} options.servers optional, the dns servers of
+     *                the default resolver (ip or ip:port)
+     */
+    constructor(options) {
+        super(options);
+
+        if (!options || typeof options.name !== 'string' || !options.name.length) throw new Error('The DNSProvider needs the name to resolve!');
+
+        this.name = options.name;
+        this.type = (options.type || 'A').toUpperCase();
+        this.port = options.port;
+
+        if (!DNSProvider.types.includes(this.type)) throw new Error(`Invalid dns record type «${options.type}», expected one of ${DNSProvider.types.join(', ')}!`);
+
+        if (options.resolver) this.resolver = options.resolver;
+        else {
+            this.resolver = new dns.promises.Resolver();
+
+            if (options.servers) this.resolver.setServers(options.servers);
+        }
+    }
+
+
+
+
+
+
+    /**
+     * resolves the hosts
+     *
+     * @returns {Promise}
+     */
+    discover() {
+        let resolving;
+
+        if (this.type === 'SRV') resolving = this.resolver.resolveSrv(this.name);
+        else if (this.type === 'AAAA') resolving = this.resolver.resolve6(this.name);
+        else resolving = this.resolver.resolve4(this.name);
+
+        return Promise.resolve(resolving).then((records) => {
+            const hosts = records.map((record) => {
+                if (this.type === 'SRV') return {host: record.name, port: record.port};
+                else return this.port === undefined ? {host: record} : {host: record, port: this.port};
+            });
+
+            // the order of the records changes between the queries
+            return hosts.sort((a, b) => `${a.host}:${a.port}`.localeCompare(`${b.host}:${b.port}`));
+        }).catch((err) => {
+            return Promise.reject(new Error(`Failed to resolve the ${this.type} records of «${this.name}»: ${err.message}`));
+        });
+    }
+
+
+
+
+
+
+    /**
+     * the supported record types
+     */
+    static get types() {
+        return ['SRV', 'A', 'AAAA'];
+    }
+};
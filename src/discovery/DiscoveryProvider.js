@@ -0,0 +1,172 @@
+const Events = require('events');
+
+
+
+/**
+ * the base class of the discovery providers. a provider tells
+ * the cluster which hosts it should have, the cluster adds and
+ * removes its nodes accordingly.
+ *
+ * the contract:
+ * - start(): starts the discovery, returns a promise that
+ *   resolves after the first set of hosts was emitted
+ * - stop(): stops the discovery, returns a promise
+ * - the «hosts» event with the complete set of hosts, each
+ *   host is a node configuration as passed to addNode
+ * - the «error» event if the hosts cannot be discovered, the
+ *   last set of hosts stays valid
+ *
+ * subclasses implement discover() which returns a promise for
+ * the current hosts, the base class polls it.
+ */
+
+
+
+module.exports = class DiscoveryProvider extends Events {
+
+
+    // true while the discovery is running
+    running = false;
+
+    // the hosts emitted last
+    hosts = null;
+
+    // the timer of the next poll
+    timer = null;
+
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options
+     * @param {number} options.interval ms between the polls, 0
+     *                 disables polling
+     * @param {object} options.defaults settings added to each
+     *                 host, for example the pools
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this.interval = options.interval === undefined ? this.constructor.defaultInterval : options.interval;
+        this.defaults = options.defaults || {};
+
+        if (!(this.interval >= 0)) throw new Error(`The interval of the discovery provider must be a positive number of ms, got «${this.interval}»!`);
+    }
+
+
+
+
+
+
+    /**
+     * starts the discovery
+     *
+     * @returns {Promise} resolves after the first discovery
+     */
+    start() {
+        if (this.running) return Promise.resolve();
+
+        this.running = true;
+
+        return this.poll();
+    }
+
+
+
+
+
+
+    /**
+     * stops the discovery
+     *
+     * @returns {Promise}
+     */
+    stop() {
+        this.running = false;
+
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+
+        return Promise.resolve();
+    }
+
+
+
+
+
+
+    /**
+     * discovers the hosts and schedules the next poll
+     *
+     * @returns {Promise}
+     */
+    poll() {
+        return Promise.resolve().then(() => this.discover()).then((hosts) => {
+            if (this.running) this.setHosts(hosts);
+        }).catch((err) => {
+            if (this.running) this.emit('error', err);
+        }).then(() => {
+            if (this.running && this.interval) {
+                this.timer = setTimeout(() => this.poll(), this.interval);
+
+                // the discovery must not keep the process alive
+                if (this.timer.unref) this.timer.unref();
+            }
+        });
+    }
+
+
+
+
+
+
+    /**
+     * returns the current hosts, implemented by the providers
+     *
+     * @returns {Promise} resolves to an array of host configurations
+     */
+    discover() {
+        return Promise.reject(new Error(`The ${this.constructor.name} does not implement the discover() method!`));
+    }
+
+
+
+
+
+
+    /**
+     * emits the hosts if they have changed
+     *
+     * @param {array} hosts
+     */
+    setHosts(hosts) {
+        if (!Array.isArray(hosts)) throw new Error('The discovered hosts must be an array!');
+
+        hosts = hosts.map(host => Object.assign({}, this.defaults, host));
+
+        const serialized = JSON.stringify(hosts);
+
+        if (serialized !== this.serializedHosts) {
+            this.serializedHosts = serialized;
+            this.hosts = hosts;
+
+            this.emit('hosts', hosts);
+        }
+    }
+
+
+
+
+
+
+    /**
+     * ms between the polls
+     */
+    static get defaultInterval() {
+        return 30000;
+    }
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const DiscoveryProvider = require('./DiscoveryProvider.js');
+
+
+
+/**
+ * reads the hosts from a json file, for example one written by
+ * an orchestrator. the file contains an array of hosts or an
+ * object with the hosts property:
+ *
+ * {"hosts": [{"host": "db-1", "pools": ["read"]}, "postgres://db-2/app"]}
+ *
+ * the file is checked for changes regularly.
+ */
+
+
+
+module.exports = class JSONFileProvider extends DiscoveryProvider {
+
+
+    /**
+     * class constructor
+     *
+     * @param {object} options see DiscoveryProvider
+     * @param {string} options.path the path of the file
+     */
+    constructor(options) {
+        super(options);
+
+        if (!options || typeof options.path !== 'string' || !options.path.length) throw new Error('The JSONFileProvider needs the path of the file!');
+
+        this.path = options.path;
+    }
+
+
+
+
+
+
+    /**
+     * reads the hosts from the file
+     *
+     * @returns {Promise}
+     */
+    discover() {
+        return new Promise((resolve, reject) => {
+            fs.readFile(this.path, 'utf8', (err, content) => {
+                if (err) reject(new Error(`Failed to read the hosts file «${this.path}»: ${err.message}`));
+                else {
+                    let data;
+
+                    try {
+                        data = JSON.parse(content);
+                    } catch (err) {
+                        return reject(new Error(`Failed to parse the hosts file «${this.path}»: ${err.message}`));
+                    }
+
+                    const hosts = Array.isArray(data) ? data : (data && data.hosts);
+
+                    if (!Array.isArray(hosts)) reject(new Error(`The hosts file «${this.path}» must contain an array of hosts or an object with the hosts property!`));
+                    else resolve(hosts.map(host => typeof host === 'string' ? {url: host} : host));
+                }
+            });
+        });
+    }
+
+
+
+
+
+
+    /**
+     * ms between the checks of the file
+     */
+    static get defaultInterval() {
+        return 1000;
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * analyzer of the memory driver, returns the description
+ * that was set on the memory server
+ */
+
+
+
+module.exports = class MemoryAnalyzer {
+
+
+    /**
+     * class constructor
+     *
+     * @param {MemoryConnection} connection
+     */
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+
+
+
+
+
+    /**
+     * returns the description of the databases
+     *
+     * @param {array|string} databaseNames
+     *
+     * @returns {Promise}
+     */
+    analyze(databaseNames) {
+        const description = this.connection.connection ? this.connection.connection.description : {};
+        const result = {};
+
+        for (const name of (Array.isArray(databaseNames) ? databaseNames : [databaseNames])) {
+            if (description[name]) result[name] = description[name];
+        }
+
+        return Promise.resolve(result);
+    }
+};
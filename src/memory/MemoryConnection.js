@@ -0,0 +1,144 @@
+const Connection = require('related-db-connection');
+const MemoryServer = require('./MemoryServer.js');
+
+
+
+/**
+ * connection implementation of the memory driver. it
+ * executes all queries on the memory server for the
+ * host of the node.
+ */
+
+
+
+module.exports = class MemoryConnection extends Connection {
+
+    // brand name used for logging
+    brand = 'MEMORY';
+
+
+
+
+    /**
+     * connects to the memory server
+     *
+     * @param {object} config the node configuration
+     * @param {function} callback
+     */
+    driverConnect(config, callback) {
+        const server = MemoryServer.get(config.host);
+
+        server.connect(this).then(() => {
+            this.connection = server;
+            callback();
+        }).catch(callback);
+    }
+
+
+
+
+
+
+    /**
+     * ends the connection
+     *
+     * @param {function} callback
+     */
+    endConnection(callback) {
+        if (this.connection) this.connection.disconnect(this);
+        callback();
+    }
+
+
+
+
+
+
+    /**
+     * the server has terminated the connection, this is
+     * what the other drivers do if their client fails
+     *
+     * @param {Error} err
+     */
+    handleConnectionError(err) {
+        if (this.connection) {
+            this.connection.disconnect(this);
+            delete this.connection;
+        }
+
+        this.emit('error', err);
+        this.end(err);
+    }
+
+
+
+
+
+
+    /**
+     * sends a query to the memory server
+     *
+     * @param {object} queryContext
+     *
+     * @returns {Promise}
+     */
+    executeQuery(queryContext) {
+        if (!this.connection) return Promise.reject(new Error('Cannot execute the query, the connection has ended!'));
+        else return this.connection.execute(queryContext, this);
+    }
+
+
+
+
+
+
+    /**
+     * escapes a value
+     *
+     * @param {*} input
+     *
+     * @returns {string}
+     */
+    escape(input) {
+        return `'${(input+'').replace(/'/g, `''`)}'`;
+    }
+
+
+
+
+
+
+    /**
+     * escapes an identifier
+     *
+     * @param {string} input
+     *
+     * @returns {string}
+     */
+    escapeId(input) {
+        if (typeof input !== 'string' || !input.length) throw new Error('Cannot escape id «'+input+'»!');
+
+        return `"${input.replace(/"/g, '""')}"`;
+    }
+
+
+
+
+
+
+    /**
+     * renders the values into the sql, used for debugging
+     *
+     * @param {string} sql
+     * @param {array} values
+     *
+     * @returns {string}
+     */
+    renderSQLQuery(sql, values) {
+        values = values || [];
+
+        return (sql || '').replace(/\$([0-9]+)/g, (match, index) => {
+            return values.length >= index ? this.escape(values[index-1]) : match;
+        });
+    }
+};
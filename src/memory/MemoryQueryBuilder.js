@@ -0,0 +1,64 @@
+/**
+ * query builder of the memory driver. it renders a simplified
+ * statement for the query definition so that the scripted 
+ * rules of the memory server can match it. filters, joins and
+ * orderings are not rendered.
+ */
+
+
+
+module.exports = class MemoryQueryBuilder {
+
+
+    /**
+     * class constructor
+     *
+     * @param {MemoryConnection} connection used for escaping
+     */
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+
+
+
+
+
+    /**
+     * renders the sql for a query context
+     *
+     * @param {object} queryContext
+     *
+     * @returns {Promise}
+     */
+    render(queryContext) {
+        const query = queryContext.query;
+
+        if (!query || typeof query.from !== 'string') return Promise.reject(new Error('Cannot render the query, the from property is missing!'));
+
+        const table = (query.database ? this.connection.escapeId(query.database)+'.' : '')+this.connection.escapeId(query.from);
+
+        switch (query.mode || 'select') {
+            case 'select':
+                queryContext.sql = `SELECT ${(query.select || ['*']).join(', ')} FROM ${table};`;
+                break;
+
+            case 'insert':
+                queryContext.sql = `INSERT INTO ${table};`;
+                break;
+
+            case 'update':
+                queryContext.sql = `UPDATE ${table};`;
+                break;
+
+            case 'delete':
+                queryContext.sql = `DELETE FROM ${table};`;
+                break;
+
+            default:
+                return Promise.reject(new Error(`Cannot render the query, the mode «${query.mode}» is not supported!`));
+        }
+
+        return Promise.resolve();
+    }
+};
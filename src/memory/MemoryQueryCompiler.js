@@ -0,0 +1,48 @@
+/**
+ * query compiler of the memory driver. it supports select
+ * queries, the sql is used to match the scripted rules of
+ * the memory server.
+ */
+
+
+
+module.exports = class MemoryQueryCompiler {
+
+
+    /**
+     * compiles the ast of a query context to sql
+     *
+     * @param {object} queryContext
+     *
+     * @returns {Promise}
+     */
+    compile(queryContext) {
+        const ast = queryContext.ast;
+
+        if (!ast || ast.kind !== 'selectQuery') return Promise.reject(new Error(`Cannot compile the query, the memory driver supports selectQuery nodes only!`));
+        else if (!ast.from || typeof ast.from.entity !== 'string') return Promise.reject(new Error('Cannot compile the query, the from node is missing!'));
+
+        const selection = ast.select && ast.select.selection ? ast.select.selection : ['*'];
+        const table = (ast.from.database ? this.escapeId(ast.from.database)+'.' : '')+this.escapeId(ast.from.entity);
+
+        queryContext.sql = `SELECT ${selection.join(', ')} FROM ${table}`;
+
+        return Promise.resolve();
+    }
+
+
+
+
+
+
+    /**
+     * escapes an identifier
+     *
+     * @param {string} input
+     *
+     * @returns {string}
+     */
+    escapeId(input) {
+        return `"${input.replace(/"/g, '""')}"`;
+    }
+};
@@ -0,0 +1,323 @@
+const RelatedError = require('related-error');
+
+
+
+// the servers by host name
+const servers = new Map();
+
+
+
+/**
+ * the memory server simulates a database host for the memory
+ * driver. tests can script the responses, latencies and failures
+ * for queries matching a pattern and can take the host down.
+ * there is one server per host name, the memory connections
+ * look them up using the host of the node configuration.
+ *
+ * const server = MemoryServer.get('replica-1');
+ *
+ * server.when(/select/i, {result: [{id: 1}], latency: 20});
+ * server.when('insert', {error: new Error('nope'), times: 1});
+ * server.when('update', {disconnect: true});
+ *
+ * the maintenance queries of the cluster (SHOW <variable>) are 
+ * answered using the variables of the server:
+ *
+ * server.variables.replication_lag = 5000;
+ *
+ * the log_position variable is incremented for each insert,
+ * update and delete query.
+ */
+
+
+
+module.exports = class MemoryServer {
+
+    // if false, all connection attempts fail
+    reachable = true;
+
+    // ms it takes to establish a connection
+    connectLatency = 0;
+
+    // the result for queries no rule matches
+    defaultResult = [];
+
+
+
+    /**
+     * class constructor
+     *
+     * @param {string} host the name of the host
+     */
+    constructor(host) {
+        this.host = host;
+
+        // the scripted rules, checked in the order
+        // they were added
+        this.rules = [];
+
+        // the queries that were executed
+        this.queries = [];
+
+        // the currently open connections
+        this.connections = new Set();
+
+        // the description returned to the analyzer
+        this.description = {};
+
+        // the values returned for SHOW <variable> queries
+        this.variables = MemoryServer.defaultVariables;
+    }
+
+
+
+
+
+
+    /**
+     * adds a rule for queries matching a pattern
+     *
+     * @param {string|RegExp} pattern a regular expression or a
+     *                        string the sql must contain (case insensitive)
+     * @param {object} response
+     * @param {*|function} response.result the result or a function
+     *                     returning it, it gets the query context
+     * @param {number} response.latency ms to wait before responding
+     * @param {Error|string} response.error reject the query
+     * @param {boolean} response.disconnect the connection fails as
+     *                  if the host went away, the query is rejected
+     *                  like the pg client does
+     * @param {number} response.times how many queries the rule
+     *                 applies to, unlimited by default
+     *
+     * @returns {MemoryServer} this
+     */
+    when(pattern, response) {
+        if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) throw new Error('The pattern must be a string or a regular expression!');
+        if (typeof response !== 'object' || response === null) throw new Error('The response must be an object!');
+
+        this.rules.push({
+              pattern: pattern
+            , response: response
+            , remaining: typeof response.times === 'number' ? response.times : Infinity
+        });
+
+        return this;
+    }
+
+
+
+
+
+
+    /**
+     * returns the first rule matching a query
+     *
+     * @param {string} sql the sql of the query
+     *
+     * @returns {object|undefined} rule
+     */
+    match(sql) {
+        return this.rules.find((rule) => {
+            if (rule.remaining <= 0) return false;
+            else if (rule.pattern instanceof RegExp) return rule.pattern.test(sql);
+            else return sql.toLowerCase().includes(rule.pattern.toLowerCase());
+        });
+    }
+
+
+
+
+
+
+    /**
+     * called by the connections, simulates a connection attempt
+     *
+     * @param {MemoryConnection} connection
+     *
+     * @returns {Promise}
+     */
+    connect(connection) {
+        return this.wait(this.connectLatency).then(() => {
+            if (!this.reachable) return Promise.reject(new RelatedError.FailedToConnectError(new Error(`The memory host «${this.host}» is not reachable!`)));
+
+            this.connections.add(connection);
+        });
+    }
+
+
+
+
+
+
+    /**
+     * called by the connections when they end
+     *
+     * @param {MemoryConnection} connection
+     */
+    disconnect(connection) {
+        this.connections.delete(connection);
+    }
+
+
+
+
+
+
+    /**
+     * called by the connections, executes a query
+     *
+     * @param {object} queryContext
+     * @param {MemoryConnection} connection
+     *
+     * @returns {Promise}
+     */
+    execute(queryContext, connection) {
+        const rule = this.match(queryContext.sql);
+        const response = rule ? rule.response : {};
+
+        if (rule) rule.remaining--;
+
+        if (/^\s*(insert|update|delete)\b/i.test(queryContext.sql || '')) this.variables.log_position++;
+
+        this.queries.push({
+              sql: queryContext.sql
+            , values: queryContext.values
+            , pool: queryContext.pool
+            , connection: connection
+            , time: Date.now()
+        });
+
+        // the maintenance queries of the cluster
+        const variable = /^show ([a-z_]+);?$/i.exec((queryContext.sql || '').trim());
+
+        return this.wait(response.latency).then(() => {
+            if (!this.reachable || response.disconnect) {
+
+                // the client fails with the socket error, the running
+                // query gets a plain error
+                if (this.connections.has(connection)) {
+                    connection.handleConnectionError(new RelatedError.FailedToConnectError(Object.assign(new Error('read ECONNRESET'), {code: 'ECONNRESET'})));
+                }
+
+                return Promise.reject(new Error('Connection terminated unexpectedly'));
+            }
+            else if (response.error) {
+                return Promise.reject(response.error instanceof Error ? response.error : new Error(response.error));
+            }
+            else if (!rule && variable && variable[1] in this.variables) return [{[variable[1]]: this.variables[variable[1]]}];
+            else if (typeof response.result === 'function') return response.result(queryContext);
+            else return response.result === undefined ? this.defaultResult : response.result;
+        });
+    }
+
+
+
+
+
+
+    /**
+     * makes the host unreachable, all open connections
+     * are terminated
+     */
+    goDown() {
+        this.reachable = false;
+
+        for (const connection of this.connections) {
+            connection.handleConnectionError(new RelatedError.FailedToConnectError(new Error(`The memory host «${this.host}» went down!`)));
+        }
+    }
+
+
+
+
+
+
+    /**
+     * makes the host reachable again
+     */
+    goUp() {
+        this.reachable = true;
+    }
+
+
+
+
+
+
+    /**
+     * removes all rules and recorded queries, makes
+     * the host reachable
+     */
+    reset() {
+        this.rules = [];
+        this.queries = [];
+        this.description = {};
+        this.variables = MemoryServer.defaultVariables;
+        this.reachable = true;
+        this.connectLatency = 0;
+        this.defaultResult = [];
+    }
+
+
+
+
+
+
+    /**
+     * returns a promise that resolves after some time
+     *
+     * @param {number} ms
+     *
+     * @returns {Promise}
+     */
+    wait(ms) {
+        if (!ms) return Promise.resolve();
+        else return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+
+
+
+
+
+    /**
+     * returns the server for a host, creates it if required
+     *
+     * @param {string} host the name of the host
+     *
+     * @returns {MemoryServer}
+     */
+    static get(host) {
+        if (!servers.has(host)) servers.set(host, new MemoryServer(host));
+        return servers.get(host);
+    }
+
+
+
+
+
+
+    /**
+     * resets all servers
+     */
+    static reset() {
+        for (const server of servers.values()) server.reset();
+    }
+
+
+
+
+
+
+    /**
+     * the initial values of the variables
+     */
+    static get defaultVariables() {
+        return {
+              replication_lag: 0
+            , read_only: false
+            , log_position: 0
+        };
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * maintenance queries the cluster executes on memory nodes.
+ * they return the variables of the memory server, see
+ * MemoryServer.variables.
+ */
+
+
+
+module.exports = {
+
+    // the replication lag in ms
+    replicationLag: {
+          sql: 'SHOW replication_lag;'
+        , parse: rows => rows[0].replication_lag
+    }
+
+
+    // the plan of a statement, scripted using a rule
+    // for the explain statement
+    , explain: {
+          sql: 'EXPLAIN '
+        , parse: rows => rows
+    }
+
+
+    // primary or replica
+    , role: {
+          sql: 'SHOW read_only;'
+        , parse: rows => rows[0].read_only ? 'replica' : 'primary'
+    }
+
+
+    // the number of writes the server has executed
+    , position: {
+          sql: 'SHOW log_position;'
+        , parse: rows => rows[0].log_position
+        , hasReached: (position, target) => position >= target
+    }
+};
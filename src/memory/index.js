@@ -0,0 +1,16 @@
+/**
+ * the memory driver simulates databases without
+ * a database server, it's meant to be used for tests.
+ * see the MemoryServer class for scripting responses.
+ */
+
+
+
+module.exports = {
+      name          : 'memory'
+    , Connection    : require('./MemoryConnection.js')
+    , QueryBuilder  : require('./MemoryQueryBuilder.js')
+    , QueryCompiler : require('./MemoryQueryCompiler.js')
+    , Analyzer      : require('./MemoryAnalyzer.js')
+    , dialect       : require('./dialect.js')
+};
@@ -1,4 +1,5 @@
 const assert = require('assert');
+const net = require('net');
 const QueryContext = require('related-query-context');
 const Cluster = require('../');
 
@@ -16,11 +17,18 @@ let config = {
 
 
 
+// the tests using the postgres database run only
+// if it is configured in the local test config
+let itUsingDatabase = it.skip;
+
+
 // try to load the local test config
 try {
     let localConfig = require('../test-config.js');
 
     for (let key in localConfig) config[key] = localConfig[key];
+
+    itUsingDatabase = it;
 } catch(e) {}
 
 
@@ -35,18 +43,137 @@ describe('The Cluster', function() {
 
 
 
-    it('should be able to load a node', function(done) {
+    it('should be able to use a registered driver', function() {
+        Cluster.registerDriver('forked-postgres', {
+              Connection: require('related-postgres-connection')
+            , QueryBuilder: require('related-postgres-query-builder')
+            , QueryCompiler: require('related-postgres-query-compiler')
+            , Analyzer: require('related-postgres-analyzer')
+        });
+
+        let cluster = new Cluster({driver: 'forked-postgres'});
+
+        assert.equal(cluster.ConnectionConstructor, require('related-postgres-connection'));
+    });
+
+
+
+    it('should reject drivers not implementing the required interface', function() {
+        assert.throws(() => {
+            Cluster.registerDriver('broken', {
+                  Connection: class {}
+                , QueryBuilder: require('related-postgres-query-builder')
+                , QueryCompiler: require('related-postgres-query-compiler')
+            });
+        }, /must implement the connect\(\) method/);
+
+        assert.throws(() => {
+            new Cluster({driver: {name: 'incomplete'}});
+        }, /missing the Connection class/);
+    });
+
+
+
+    it('should request tls from the postgres servers if ssl is set', function(done) {
+        let server = net.createServer((socket) => {
+            socket.once('data', (data) => {
+
+                // the SSLRequest message, its length followed by the code 80877103
+                assert.equal(data.readInt32BE(4), 80877103);
+                socket.end('N');
+            });
+        });
+
+        server.listen(0, '127.0.0.1', () => {
+            let cluster = new Cluster({driver: 'postgres'});
+            let connection = new cluster.ConnectionConstructor({host: '127.0.0.1', port: server.address().port, ssl: true}, 'tls');
+
+            connection.driverConnect(connection.config, (err) => {
+                assert(err && /does not support SSL/.test(err.message));
+
+                cluster.end(true).then(() => server.close(() => done())).catch(done);
+            });
+        });
+    });
+
+
+
+    itUsingDatabase('should be able to load a node', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
 
-        cluster.addNode(config).then(done).catch(done);
+        cluster.addNode(config).then(() => done()).catch(done);
+    });
+
+
+
+
+    itUsingDatabase('should emit the nodeUp event', function(done) {
+        this.timeout(10000);
+
+        let cluster = new Cluster({driver: 'postgres'});
+
+        cluster.once('nodeUp', (event) => {
+            assert.equal(event.state, 'up');
+            assert.equal(event.previousState, 'connecting');
+            assert.equal(event.host, config.host);
+            done();
+        });
+
+        cluster.addNode(config).catch(done);
+    });
+
+
+
+
+    it('should reject requests when the circuit breaker of a node is open', function(done) {
+        this.timeout(10000);
+
+        let cluster = new Cluster({
+              driver: 'postgres'
+            , circuitBreaker: {failureThreshold: 2}
+            , backoff: {policy: 'fixed', initialDelay: 10}
+        });
+
+        let nodeConfig = Object.assign({}, config, {port: 1, pools: ['stats']});
+
+        cluster.addNode(nodeConfig);
+
+        cluster.once('nodeCircuitOpen', (event) => {
+            assert.equal(event.host, config.host);
+
+            cluster.getDBConnection('stats').then(() => {
+                done(new Error('expected the request to be rejected'));
+            }).catch((err) => {
+                assert(/unavailable/.test(err.message));
+                cluster.end(true).then(() => done()).catch(done);
+            });
+        });
+    });
+
+
+
+
+    itUsingDatabase('should be able to remove a node', function(done) {
+        this.timeout(10000);
+
+        let cluster = new Cluster({driver: 'postgres'});
+
+        cluster.addNode(config).then((node) => {
+            return cluster.removeNode(node, {timeout: 5000}).then(() => {
+                assert.equal(cluster.nodes.size, 0);
+                assert.equal(cluster.pools.size, 0);
+                assert.equal(cluster.queues.size, 0);
+                done();
+            });
+        }).catch(done);
     });
 
 
 
 
-    it('should be able to describe the db', function(done) {
+    itUsingDatabase('should be able to describe the db', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
@@ -63,7 +190,7 @@ describe('The Cluster', function() {
 
 
 
-    it('should be able to execute an insert query', function(done) {
+    itUsingDatabase('should be able to execute an insert query', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
@@ -83,7 +210,7 @@ describe('The Cluster', function() {
 
 
 
-    it('should be able to execute a select query', function(done) {
+    itUsingDatabase('should be able to execute a select query', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
@@ -104,7 +231,7 @@ describe('The Cluster', function() {
 
 
 
-    it('should be able to execute many select queries', function(done) {
+    itUsingDatabase('should be able to execute many select queries', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
@@ -128,7 +255,7 @@ describe('The Cluster', function() {
 
 
 
-    it('should be able to insert 1000 items', function(done) {
+    itUsingDatabase('should be able to insert 1000 items', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
@@ -150,7 +277,7 @@ describe('The Cluster', function() {
 
 
 
-    it('should be able render a query', function(done) {
+    itUsingDatabase('should be able render a query', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
@@ -185,7 +312,7 @@ describe('The Cluster', function() {
 
 
 
-    it('should be able compile an ast based query', function(done) {
+    itUsingDatabase('should be able compile an ast based query', function(done) {
         this.timeout(10000);
 
         let cluster = new Cluster({driver: 'postgres'});
@@ -218,7 +345,7 @@ describe('The Cluster', function() {
 
 
 
-    it('should recover correctly from failed inserts', function(done) {
+    itUsingDatabase('should recover correctly from failed inserts', function(done) {
         this.timeout(100000);
 
         let cluster = new Cluster({driver: 'postgres'});